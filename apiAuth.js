@@ -0,0 +1,233 @@
+// apiAuth.js
+// -----------------------------------------------------------------------------
+// Authentication for the bridge's own API (Power Automate, admin tools).
+//
+// Keys are read from API_KEYS_PATH (JSON, see api-keys.example.json):
+//
+//   { "keys": [ { "name": "pa-production", "key": "<secret>",
+//                 "permissions": ["invoices", "preview"] } ] }
+//
+// A request authenticates with one of:
+//   API key   `X-API-Key: <secret>` (or `Authorization: Bearer <secret>`)
+//   HMAC      `X-API-Key-Id: <name>`, `X-API-Timestamp: <unix seconds>` and
+//             `X-API-Signature: sha256=<hex>`, the HMAC-SHA256 (keyed with the
+//             secret) of "<timestamp>.<METHOD> <path>.<raw body>". Timestamps
+//             more than API_HMAC_TOLERANCE_SEC old are rejected.
+//
+// Permissions: invoices (create/update invoices, payments, credit notes),
+// preview, reports, metrics, admin, or "*" for everything.
+//
+// The file is re-read whenever it changes, so keys can be added or rotated
+// without a restart: add the new key (several entries may share a name), move
+// the caller over, then remove the old one. A file that fails to load at
+// startup stops the bridge; one that breaks later is logged and the previous
+// keys stay in use.
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const {
+  API_KEYS_PATH,
+  API_AUTH_DISABLED,
+  API_HMAC_TOLERANCE_SEC,
+} = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("apiAuth");
+
+const PERMISSIONS = ["invoices", "preview", "reports", "metrics", "admin", "*"];
+const MIN_KEY_LENGTH = 24;
+
+function normalizeKey(raw, index, source) {
+  const label = `key #${index + 1}${raw?.name ? ` (${raw.name})` : ""} in ${source}`;
+
+  if (!raw || typeof raw !== "object" || !raw.name) {
+    throw new Error(`${label}: each key needs a "name"`);
+  }
+  if (typeof raw.key !== "string" || raw.key.length < MIN_KEY_LENGTH) {
+    throw new Error(`${label}: "key" must be at least ${MIN_KEY_LENGTH} characters`);
+  }
+
+  const permissions = Array.isArray(raw.permissions) ? raw.permissions : [];
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (permissions.length === 0 || unknown.length > 0) {
+    throw new Error(
+      `${label}: permissions must be a non-empty list of ${PERMISSIONS.join(", ")}`
+    );
+  }
+
+  return {
+    name: String(raw.name),
+    secret: Buffer.from(raw.key, "utf8"),
+    permissions,
+    disabled: Boolean(raw.disabled),
+  };
+}
+
+/**
+ * Load the API keys from a JSON file ({ "keys": [...] } or a bare array).
+ * No file means no keys.
+ */
+function loadApiKeys(filePath = API_KEYS_PATH) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { keys: [], mtimeMs: 0 };
+  }
+
+  const mtimeMs = fs.statSync(filePath).mtimeMs;
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid API keys file ${filePath}: ${err.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid API keys file ${filePath}: expected a "keys" array`);
+  }
+
+  const keys = list.map((raw, index) => normalizeKey(raw, index, filePath));
+  return { keys: keys.filter((k) => !k.disabled), mtimeMs };
+}
+
+let registry = loadApiKeys();
+
+if (API_AUTH_DISABLED) {
+  log.warn("API_AUTH_DISABLED is set; the API is open to anyone who can reach it");
+} else if (registry.keys.length === 0) {
+  log.error(`No API keys in ${API_KEYS_PATH}; every API request will be rejected`);
+} else {
+  log.info(`Loaded ${registry.keys.length} API key(s) from ${API_KEYS_PATH}`);
+}
+
+// Pick up edits to the keys file (rotation without a restart)
+function currentKeys() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.existsSync(API_KEYS_PATH) ? fs.statSync(API_KEYS_PATH).mtimeMs : 0;
+  } catch {
+    return registry.keys;
+  }
+
+  if (mtimeMs !== registry.mtimeMs) {
+    try {
+      registry = loadApiKeys();
+      log.info(`Reloaded ${registry.keys.length} API key(s) from ${API_KEYS_PATH}`);
+    } catch (err) {
+      // Keep the keys we have rather than locking everyone out
+      registry = { ...registry, mtimeMs };
+      log.error(
+        "API keys file changed but could not be loaded; keeping previous keys",
+        err
+      );
+    }
+  }
+  return registry.keys;
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function fromApiKey(req, keys) {
+  const header = req.get("x-api-key");
+  const bearer = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  const presented = header || bearer?.[1];
+  if (!presented) return null;
+
+  const secret = Buffer.from(String(presented).trim(), "utf8");
+  const match = keys.find((k) => safeEqual(k.secret, secret));
+  return match ? { key: match } : { error: "Invalid API key" };
+}
+
+function fromHmac(req, keys) {
+  const keyId = req.get("x-api-key-id");
+  const timestamp = req.get("x-api-timestamp");
+  const signature = req.get("x-api-signature");
+  if (!keyId && !signature) return null;
+
+  if (!keyId || !timestamp || !signature) {
+    return { error: "HMAC auth needs X-API-Key-Id, X-API-Timestamp and X-API-Signature" };
+  }
+
+  const ts = parseInt(timestamp, 10);
+  if (isNaN(ts) || Math.abs(Date.now() / 1000 - ts) > API_HMAC_TOLERANCE_SEC) {
+    return { error: "X-API-Timestamp is missing or too far from the current time" };
+  }
+
+  const received = Buffer.from(String(signature).replace(/^sha256=/i, ""), "hex");
+  const candidates = keys.filter((k) => k.name === keyId);
+
+  for (const key of candidates) {
+    const expected = crypto
+      .createHmac("sha256", key.secret)
+      .update(`${timestamp}.${req.method} ${req.originalUrl}.`)
+      .update(req.rawBody || "")
+      .digest();
+    if (safeEqual(expected, received)) {
+      return { key };
+    }
+  }
+  return { error: "Invalid request signature" };
+}
+
+function deny(res, status, code, error) {
+  return res.status(status).json({ ok: false, code, error });
+}
+
+/**
+ * Express middleware: the request must carry a valid API key or HMAC
+ * signature for a key that has `permission` (or "*"). Sets `req.apiKey` to
+ * { name, permissions }.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (API_AUTH_DISABLED) {
+      req.apiKey = { name: "(auth disabled)", permissions: ["*"] };
+      return next();
+    }
+
+    const keys = currentKeys();
+    const result = fromHmac(req, keys) || fromApiKey(req, keys);
+
+    if (!result || result.error) {
+      log.warn("Rejected API request", {
+        path: req.originalUrl.split("?")[0],
+        ip: req.ip,
+        reason: result?.error || "no credentials",
+      });
+      return deny(
+        res,
+        401,
+        "UNAUTHORIZED",
+        result?.error || "API key or request signature required"
+      );
+    }
+
+    const { name, permissions } = result.key;
+    req.apiKey = { name, permissions };
+
+    if (!permissions.includes("*") && !permissions.includes(permission)) {
+      log.warn("API key lacks permission", {
+        keyName: name,
+        path: req.originalUrl.split("?")[0],
+        permission,
+      });
+      return deny(
+        res,
+        403,
+        "FORBIDDEN",
+        `API key "${name}" does not have the "${permission}" permission`
+      );
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  loadApiKeys,
+  requirePermission,
+};
@@ -0,0 +1,496 @@
+// auditLog.js
+// -----------------------------------------------------------------------------
+// Persistent audit trail of every /create-invoice request and Xero webhook
+// event, kept in SQLite at AUDIT_DB_PATH (needs better-sqlite3).
+//
+// A record is inserted as "pending" when the work starts, so a crash still
+// leaves a trace, and completed when it finishes with one of:
+//
+//   success    invoice created / paid invoice synced to PL
+//   duplicate  order already invoiced, existing invoice returned
+//   skipped    _skipXero set by server-side logic
+//   ignored    webhook event that needed no action
+//   failed     error (code, message and details are kept)
+//
+// Alongside the summary columns each record keeps a JSON `data` blob: the
+// request payload, derived context, invoice model, payment/email results, PL
+// writeback results and the error. The blob is passed through the logger's
+// redaction first, so names, emails, addresses and credentials (including
+// Bearer tokens and Authorization headers inside error text) are never
+// stored. Records older than AUDIT_RETENTION_DAYS are deleted.
+//
+// To make failed requests replayable (POST /admin/replay), a create-invoice
+// record also keeps the original request body, encrypted with
+// TOKEN_ENCRYPTION_KEY (plain JSON without it, as for the token). It is
+// dropped as soon as the record finishes with anything other than "failed".
+// A replay is a new record whose replay_of points at the original.
+//
+// Auditing must never break invoicing: if SQLite is unavailable the trail is
+// switched off (logged once) and every write error is logged and swallowed.
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  AUDIT_DB_PATH,
+  AUDIT_RETENTION_DAYS,
+  TOKEN_ENCRYPTION_KEY,
+} = require("./config");
+const { AppError } = require("./errors");
+const { createLogger, redact } = require("./logger");
+const { parseKey, createTokenCipher } = require("./tokenStore");
+
+const log = createLogger("auditLog");
+
+const STATUSES = ["pending", "success", "duplicate", "skipped", "ignored", "failed"];
+const KINDS = ["create-invoice", "invoice-webhook"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- storage ----------
+
+function openDatabase(dbPath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    log.error(
+      "Audit trail disabled: it needs the better-sqlite3 package (npm install better-sqlite3)"
+    );
+    return null;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    fs.chmodSync(dbPath, 0o600);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_records (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL,
+        order_number TEXT,
+        invoice_id TEXT,
+        invoice_number TEXT,
+        tenant_id TEXT,
+        error_code TEXT,
+        error_message TEXT,
+        requested_by TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        data TEXT NOT NULL,
+        replay_of TEXT,
+        replay_payload TEXT
+      );
+      CREATE INDEX IF NOT EXISTS audit_records_order
+        ON audit_records (order_number, started_at);
+      CREATE INDEX IF NOT EXISTS audit_records_status
+        ON audit_records (status, started_at);
+    `);
+
+    // Databases created before replays existed
+    const columns = db
+      .prepare("PRAGMA table_info(audit_records)")
+      .all()
+      .map((c) => c.name);
+    for (const column of ["replay_of", "replay_payload"]) {
+      if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE audit_records ADD COLUMN ${column} TEXT`);
+      }
+    }
+    db.exec(
+      "CREATE INDEX IF NOT EXISTS audit_records_replay_of ON audit_records (replay_of)"
+    );
+
+    log.info("Audit trail enabled", { location: dbPath });
+    return db;
+  } catch (err) {
+    log.error("Audit trail disabled: could not open the database", err);
+    return null;
+  }
+}
+
+const db = openDatabase(AUDIT_DB_PATH);
+const replayCipher = createTokenCipher(parseKey(TOKEN_ENCRYPTION_KEY));
+
+const statements = db && {
+  insert: db.prepare(`
+    INSERT INTO audit_records
+      (id, kind, status, order_number, requested_by, started_at, data,
+       replay_of, replay_payload)
+    VALUES
+      (@id, @kind, 'pending', @orderNumber, @requestedBy, @startedAt, @data,
+       @replayOf, @replayPayload)
+  `),
+  finish: db.prepare(`
+    UPDATE audit_records SET
+      status = @status,
+      order_number = @orderNumber,
+      invoice_id = @invoiceId,
+      invoice_number = @invoiceNumber,
+      tenant_id = @tenantId,
+      error_code = @errorCode,
+      error_message = @errorMessage,
+      finished_at = @finishedAt,
+      duration_ms = @durationMs,
+      data = @data,
+      replay_payload = CASE WHEN @status = 'failed' THEN replay_payload END
+    WHERE id = @id
+  `),
+  byId: db.prepare("SELECT * FROM audit_records WHERE id = ?"),
+  replays: db.prepare(`
+    SELECT id, status, started_at FROM audit_records
+    WHERE replay_of = ? ORDER BY started_at DESC
+  `),
+  byOrder: db.prepare(`
+    SELECT * FROM audit_records WHERE order_number = ? ORDER BY started_at DESC
+  `),
+  prune: db.prepare("DELETE FROM audit_records WHERE started_at < ?"),
+};
+
+function serialize(data) {
+  return JSON.stringify(redact(data));
+}
+
+function toRecord(row, { withData = true } = {}) {
+  const record = {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    orderNumber: row.order_number,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number,
+    tenantId: row.tenant_id,
+    errorCode: row.error_code,
+    errorMessage: row.error_message,
+    requestedBy: row.requested_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    replayOf: row.replay_of || null,
+    replayable: row.status === "failed" && Boolean(row.replay_payload),
+  };
+  if (withData) {
+    try {
+      record.data = JSON.parse(row.data);
+    } catch {
+      record.data = null;
+    }
+  }
+  return record;
+}
+
+// ---------- recording ----------
+
+function text(value) {
+  return value === undefined || value === null || value === ""
+    ? null
+    : String(value);
+}
+
+/**
+ * Start an audit record for one piece of work.
+ *
+ * Returns a handle: `set(fields)` merges fields into the record's data as the
+ * work progresses (context, invoiceModel, payments…), and `finish(status,
+ * fields)` merges the last ones and stores the outcome. orderNumber,
+ * invoiceId, invoiceNumber, tenantId and error ({ code, message, details })
+ * also fill the summary columns. Only the first finish counts.
+ *
+ * `replayPayload` is the unredacted request to keep (encrypted) in case the
+ * work fails; `replayOf` links a replay to the record it repeats.
+ *
+ * @param {"create-invoice"|"invoice-webhook"} kind
+ * @param {{ orderNumber?: string, requestedBy?: string, payload?: object,
+ *           replayPayload?: object, replayOf?: string }} [opts]
+ */
+function startAudit(
+  kind,
+  { orderNumber, requestedBy, payload, replayPayload, replayOf } = {}
+) {
+  const id = crypto.randomUUID();
+  const startedAt = new Date();
+  const data = { payload };
+  let finished = false;
+
+  if (statements) {
+    try {
+      statements.insert.run({
+        id,
+        kind,
+        orderNumber: text(orderNumber),
+        requestedBy: text(requestedBy),
+        startedAt: startedAt.toISOString(),
+        data: serialize(data),
+        replayOf: text(replayOf),
+        replayPayload:
+          replayPayload === undefined ? null : replayCipher.encrypt(replayPayload),
+      });
+    } catch (err) {
+      log.error("Failed to write audit record", err);
+    }
+  }
+
+  function set(fields = {}) {
+    Object.assign(data, fields);
+  }
+
+  function finish(status, fields = {}) {
+    if (finished) return;
+    finished = true;
+    set(fields);
+    if (!statements) return;
+
+    const error = data.error || null;
+    try {
+      statements.finish.run({
+        id,
+        status,
+        orderNumber: text(data.orderNumber ?? orderNumber),
+        invoiceId: text(data.invoiceId),
+        invoiceNumber: text(data.invoiceNumber),
+        tenantId: text(data.tenantId),
+        errorCode: text(error?.code),
+        errorMessage: text(redact(error?.message)),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        data: serialize(data),
+      });
+    } catch (err) {
+      log.error("Failed to complete audit record", err);
+    }
+  }
+
+  return { id, set, finish };
+}
+
+// ---------- queries ----------
+
+function assertAvailable() {
+  if (!statements) {
+    throw new AppError("The audit trail is not available (see server logs)", {
+      status: 503,
+      code: "AUDIT_UNAVAILABLE",
+    });
+  }
+}
+
+/**
+ * Every record for a PL order, newest first, including the data blobs.
+ */
+function getAuditForOrder(orderNumber) {
+  assertAvailable();
+  return statements.byOrder.all(String(orderNumber)).map((row) => toRecord(row));
+}
+
+/**
+ * One record with its data blob and the replays made of it, or null.
+ */
+function getAuditRecord(id) {
+  assertAvailable();
+  const row = statements.byId.get(String(id));
+  if (!row) return null;
+
+  return {
+    ...toRecord(row),
+    replays: statements.replays.all(row.id).map((r) => ({
+      id: r.id,
+      status: r.status,
+      startedAt: r.started_at,
+    })),
+  };
+}
+
+/**
+ * The original request body kept for a failed record, or null when there is
+ * none (the record didn't fail, predates replays, or is a webhook event).
+ */
+function getReplayPayload(id) {
+  assertAvailable();
+  const row = statements.byId.get(String(id));
+  if (!row?.replay_payload || row.status !== "failed") return null;
+
+  try {
+    return replayCipher.decrypt(row.replay_payload);
+  } catch (err) {
+    log.error("Failed to decrypt stored request for replay", err);
+    return null;
+  }
+}
+
+// "2025-01-31" as `to` means the whole of that day
+function parseBound(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+  const ms = Date.parse(dateOnly ? `${value}T00:00:00Z` : String(value));
+  if (isNaN(ms)) {
+    throw new AppError(`Invalid ${name} "${value}": expected YYYY-MM-DD or ISO time`, {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+  return new Date(dateOnly && endOfDay ? ms + DAY_MS : ms).toISOString();
+}
+
+/**
+ * Record summaries (no data blobs), newest first.
+ *
+ * @param {{ status?: string, kind?: string, orderNumber?: string,
+ *           from?: string, to?: string, limit?: number|string }} [filters]
+ */
+function queryAudit({ status, kind, orderNumber, from, to, limit } = {}) {
+  assertAvailable();
+
+  if (status && !STATUSES.includes(status)) {
+    throw new AppError(`Invalid status "${status}"`, {
+      status: 400,
+      code: "BAD_REQUEST",
+      details: { allowed: STATUSES },
+    });
+  }
+  if (kind && !KINDS.includes(kind)) {
+    throw new AppError(`Invalid kind "${kind}"`, {
+      status: 400,
+      code: "BAD_REQUEST",
+      details: { allowed: KINDS },
+    });
+  }
+
+  const where = [];
+  const params = {};
+  if (status) {
+    where.push("status = @status");
+    params.status = status;
+  }
+  if (kind) {
+    where.push("kind = @kind");
+    params.kind = kind;
+  }
+  if (orderNumber) {
+    where.push("order_number = @orderNumber");
+    params.orderNumber = String(orderNumber);
+  }
+  const fromIso = parseBound(from, "from");
+  if (fromIso) {
+    where.push("started_at >= @from");
+    params.from = fromIso;
+  }
+  const toIso = parseBound(to, "to", { endOfDay: true });
+  if (toIso) {
+    where.push("started_at < @to");
+    params.to = toIso;
+  }
+
+  params.limit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+
+  const rows = db
+    .prepare(
+      `SELECT * FROM audit_records
+       ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY started_at DESC
+       LIMIT @limit`
+    )
+    .all(params);
+
+  return rows.map((row) => toRecord(row, { withData: false }));
+}
+
+/**
+ * Failed create-invoice records worth replaying, newest first: only ones
+ * with a stored request, only the newest failure per order, and not orders
+ * that have since been invoiced (a later success or duplicate).
+ *
+ * @param {{ from?: string, to?: string, code?: string, limit?: number|string }} [filters]
+ */
+function findReplayCandidates({ from, to, code, limit } = {}) {
+  assertAvailable();
+
+  const where = [
+    "a.kind = 'create-invoice'",
+    "a.status = 'failed'",
+    "a.replay_payload IS NOT NULL",
+    `NOT EXISTS (
+      SELECT 1 FROM audit_records b
+      WHERE b.kind = 'create-invoice'
+        AND b.order_number = a.order_number
+        AND b.status IN ('success', 'duplicate')
+        AND b.started_at > a.started_at
+    )`,
+  ];
+  const params = {};
+  if (code) {
+    where.push("a.error_code = @code");
+    params.code = String(code);
+  }
+  const fromIso = parseBound(from, "from");
+  if (fromIso) {
+    where.push("a.started_at >= @from");
+    params.from = fromIso;
+  }
+  const toIso = parseBound(to, "to", { endOfDay: true });
+  if (toIso) {
+    where.push("a.started_at < @to");
+    params.to = toIso;
+  }
+
+  const rows = db
+    .prepare(
+      `SELECT a.* FROM audit_records a
+       WHERE ${where.join(" AND ")}
+       ORDER BY a.started_at DESC`
+    )
+    .all(params);
+
+  const max = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const seenOrders = new Set();
+  const candidates = [];
+  for (const row of rows) {
+    if (row.order_number) {
+      if (seenOrders.has(row.order_number)) continue;
+      seenOrders.add(row.order_number);
+    }
+    candidates.push(toRecord(row, { withData: false }));
+    if (candidates.length >= max) break;
+  }
+  return candidates;
+}
+
+// ---------- retention ----------
+
+function pruneAudit() {
+  if (!statements || !(AUDIT_RETENTION_DAYS > 0)) return 0;
+
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * DAY_MS).toISOString();
+  try {
+    const { changes } = statements.prune.run(cutoff);
+    if (changes > 0) {
+      log.info(`Pruned ${changes} audit record(s) older than ${AUDIT_RETENTION_DAYS} days`);
+    }
+    return changes;
+  } catch (err) {
+    log.error("Failed to prune audit records", err);
+    return 0;
+  }
+}
+
+if (statements) {
+  pruneAudit();
+  setInterval(pruneAudit, DAY_MS).unref();
+}
+
+module.exports = {
+  STATUSES,
+  startAudit,
+  getAuditRecord,
+  getAuditForOrder,
+  getReplayPayload,
+  queryAudit,
+  findReplayCandidates,
+  pruneAudit,
+};
@@ -0,0 +1,224 @@
+// brandRegistry.js
+// -----------------------------------------------------------------------------
+// Single source of truth for brand knowledge: aliases, Xero branding theme,
+// tracking option, sales account, default due terms and email behaviour.
+//
+// Brands are read from BRANDS_CONFIG_PATH (JSON, see brands.example.json) at
+// startup. Without that file the built-in defaults below are used, which match
+// the four brands we've always had.
+//
+// Brand entry fields:
+//   key                 short identifier, e.g. "sdk_group"
+//   aliases             template / customer category values that mean this brand
+//   customerCategory    label used for the customer category
+//   trackingOption      option for the "Brand" tracking category in Xero
+//   brandingThemeId     Xero branding theme ID, or
+//   brandingThemeIdEnv  name of the env var holding it
+//   salesAccount        sales account code for this brand's lines (optional)
+//   dueDays             days until due when PL gives no due date (optional)
+//   emailCustomer       "payload" (default) | "always" | "never"
+//   webDefault          true for the brand web orders fall back to
+// -----------------------------------------------------------------------------
+
+const fs = require("fs");
+
+const { BRANDS_CONFIG_PATH } = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("brandRegistry");
+
+const DEFAULT_BRANDS = [
+  {
+    key: "edinburgh_banners",
+    aliases: ["edinburgh_banners", "edinburgh banners"],
+    customerCategory: "Edinburgh_Banners",
+    trackingOption: "Edinburgh Banners",
+    brandingThemeIdEnv: "XERO_BRAND_EDINBURGH",
+    webDefault: true,
+  },
+  {
+    key: "giclee",
+    aliases: ["giclee", "giclée"],
+    customerCategory: "Giclee",
+    trackingOption: "Giclee",
+    brandingThemeIdEnv: "XERO_BRAND_GICLEE",
+  },
+  {
+    key: "sdk_group",
+    aliases: ["sdk", "sdk_group", "sdk group"],
+    customerCategory: "SDK_Group",
+    trackingOption: "SDK Group",
+    brandingThemeIdEnv: "XERO_BRAND_SDK",
+  },
+  {
+    key: "pro_print_studio",
+    aliases: ["pps", "pro print", "pro print studio"],
+    customerCategory: "Pro Print Studio",
+    trackingOption: "Pro Print Studio",
+    brandingThemeIdEnv: "XERO_BRAND_PPS",
+  },
+];
+
+const EMAIL_BEHAVIOURS = ["payload", "always", "never"];
+
+// "SDK_Group", " sdk group " and "SDK  Group" all become "sdk group"
+function normalizeBrandValue(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, " ");
+}
+
+function normalizeBrand(raw, index, source) {
+  const label = `brand #${index + 1}${raw?.key ? ` (${raw.key})` : ""} in ${source}`;
+
+  if (!raw || typeof raw !== "object" || !raw.key) {
+    throw new Error(`${label}: each brand needs a "key"`);
+  }
+
+  const emailCustomer = raw.emailCustomer || "payload";
+  if (!EMAIL_BEHAVIOURS.includes(emailCustomer)) {
+    throw new Error(
+      `${label}: emailCustomer must be one of ${EMAIL_BEHAVIOURS.join(", ")}`
+    );
+  }
+
+  const dueDays =
+    raw.dueDays === undefined || raw.dueDays === null
+      ? null
+      : parseInt(raw.dueDays, 10);
+  if (dueDays !== null && (isNaN(dueDays) || dueDays < 0)) {
+    throw new Error(`${label}: dueDays must be a non-negative number`);
+  }
+
+  const aliases = [raw.key, ...(Array.isArray(raw.aliases) ? raw.aliases : [])]
+    .map(normalizeBrandValue)
+    .filter(Boolean);
+
+  const brandingThemeId =
+    raw.brandingThemeId ||
+    (raw.brandingThemeIdEnv ? process.env[raw.brandingThemeIdEnv] : null) ||
+    null;
+
+  return {
+    key: String(raw.key),
+    aliases: [...new Set(aliases)],
+    customerCategory: raw.customerCategory || null,
+    trackingOption: raw.trackingOption || null,
+    brandingThemeId,
+    brandingThemeIdEnv: raw.brandingThemeIdEnv || null,
+    salesAccount: raw.salesAccount ? String(raw.salesAccount) : null,
+    dueDays,
+    emailCustomer,
+    webDefault: Boolean(raw.webDefault),
+  };
+}
+
+/**
+ * Load the brand registry from a JSON file ({ "brands": [...] } or a bare
+ * array), falling back to DEFAULT_BRANDS when the file doesn't exist.
+ * An invalid file throws so the bridge doesn't start with half a registry.
+ */
+function loadBrands(filePath = BRANDS_CONFIG_PATH) {
+  let list = DEFAULT_BRANDS;
+  let source = "built-in defaults";
+
+  if (filePath && fs.existsSync(filePath)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid brands file ${filePath}: ${err.message}`);
+    }
+
+    list = Array.isArray(parsed) ? parsed : parsed?.brands;
+    if (!Array.isArray(list)) {
+      throw new Error(`Invalid brands file ${filePath}: expected a "brands" array`);
+    }
+    source = filePath;
+  }
+
+  const brands = list.map((raw, index) => normalizeBrand(raw, index, source));
+  log.info(`Loaded ${brands.length} brand(s) from ${source}`);
+  return { brands, source };
+}
+
+const REGISTRY = loadBrands();
+
+// Words of a normalised value ("pro print studio/trade" → pro, print, studio, trade)
+function words(value) {
+  return value.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// True when the alias's words appear, in order and whole, in the value's
+function containsWords(valueWords, alias) {
+  const aliasWords = words(alias);
+  if (aliasWords.length === 0) return false;
+
+  for (let i = 0; i + aliasWords.length <= valueWords.length; i++) {
+    if (aliasWords.every((w, j) => valueWords[i + j] === w)) return true;
+  }
+  return false;
+}
+
+/**
+ * Find the brand for the first value that matches one. A value matches on an
+ * exact alias first; failing that, on containing an alias as whole words (so
+ * a category like "Giclee Trade" still counts as Giclee, but "apps-2024" is
+ * not Pro Print Studio because it contains "pps").
+ *
+ * @param {...string} values - candidates in priority order (template, category…)
+ * @returns {object|null}
+ */
+function findBrand(...values) {
+  const keys = values.map(normalizeBrandValue).filter(Boolean);
+
+  for (const key of keys) {
+    const exact = REGISTRY.brands.find((b) => b.aliases.includes(key));
+    if (exact) return exact;
+  }
+
+  for (const key of keys) {
+    const keyWords = words(key);
+    const partial = REGISTRY.brands.find((b) =>
+      b.aliases.some((alias) => containsWords(keyWords, alias))
+    );
+    if (partial) return partial;
+  }
+
+  return null;
+}
+
+// Brand web orders use when nothing else matches
+function getWebDefaultBrand() {
+  return REGISTRY.brands.find((b) => b.webDefault) || null;
+}
+
+// Safe fingerprint for display (no full IDs in logs/responses)
+function fingerprintId(id) {
+  const v = String(id || "").trim();
+  return v ? `len=${v.length} ${v.slice(0, 4)}…${v.slice(-4)}` : "(none)";
+}
+
+/**
+ * Effective registry for display: everything except full branding theme IDs.
+ */
+function listBrands() {
+  return {
+    source: REGISTRY.source,
+    brands: REGISTRY.brands.map(({ brandingThemeId, ...brand }) => ({
+      ...brand,
+      brandingTheme: fingerprintId(brandingThemeId),
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_BRANDS,
+  normalizeBrandValue,
+  loadBrands,
+  findBrand,
+  getWebDefaultBrand,
+  fingerprintId,
+  listBrands,
+};
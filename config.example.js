@@ -8,6 +8,9 @@ module.exports = {
   // Basic app settings
   PORT: 4002,
   LOG_LEVEL: "info", // "debug" | "info" | "warn" | "error"
+  LOG_FORMAT: "json", // "json" | "pretty"
+  // Extra field names to redact in logs (comma-separated, see logger.js)
+  LOG_REDACT_FIELDS: "",
 
   // Xero OAuth settings
   XERO_CLIENT_ID: "your-xero-client-id",
@@ -16,8 +19,40 @@ module.exports = {
   XERO_SCOPES:
     "offline_access accounting.transactions accounting.contacts accounting.settings",
 
-  // Where we store the Xero token JSON
+  // Webhook signing key (Xero developer portal -> Webhooks)
+  XERO_WEBHOOK_KEY: null,
+
+  // Xero token store (see tokenStore.js): "file" (default) or "sqlite"
+  TOKEN_STORE: "file",
   TOKEN_PATH: "/var/lib/pl-xero/xero-token.json",
+  TOKEN_DB_PATH: "/var/lib/pl-xero/xero-token.db",
+  // AES-256 key for the stored token: 64 hex chars or base64 of 32 bytes
+  TOKEN_ENCRYPTION_KEY: null,
+
+  // Refresh the access token this long before it expires
+  XERO_TOKEN_REFRESH_MARGIN_SEC: 300,
+  // How long the Xero connection (tenant) list is cached
+  XERO_TENANTS_CACHE_TTL_MS: 900000,
+
+  // Xero rate limits (see xeroRateLimit.js)
+  XERO_MAX_CONCURRENT_CALLS: 5,
+  XERO_RATE_LIMIT_MAX_RETRIES: 3,
+  XERO_RATE_LIMIT_MAX_WAIT_MS: 60000,
+
+  // Local state (order → invoice ledger, etc.)
+  DATA_DIR: "/var/lib/pl-xero",
+  INVOICE_LEDGER_PATH: "/var/lib/pl-xero/invoice-ledger.json",
+  CONTACT_CACHE_PATH: "/var/lib/pl-xero/contact-cache.json",
+
+  // Inbound API authentication (see apiAuth.js / api-keys.example.json)
+  API_KEYS_PATH: "/etc/pl-xero/api-keys.json",
+  API_AUTH_DISABLED: false, // local development only
+  API_HMAC_TOLERANCE_SEC: 300,
+  // Browser origins allowed by CORS; none by default
+  CORS_ORIGINS: [],
+
+  // Server-side rules for logicConfig (see rulesEngine.js)
+  LOGIC_RULES_PATH: "/etc/pl-xero/logic-rules.json",
 
   // Accounting config
   XERO_SALES_ACCOUNT: "200",
@@ -25,9 +60,26 @@ module.exports = {
   // Stripe / online payment clearing account
   XERO_STRIPE_ACCOUNT: null,
 
+  // Payment method -> bank/clearing account code, e.g. "stripe=0002;bacs=090"
+  XERO_PAYMENT_ACCOUNTS: "",
+
+  // Processing fees (e.g. Stripe) booked as spend money from the payment account
+  XERO_PAYMENT_FEE_ACCOUNT: null,
+  XERO_PAYMENT_FEE_TAX_TYPE: "EXEMPTINPUT",
+  XERO_PAYMENT_FEE_CONTACT: "Stripe",
+
   // Tenant (OPTIONAL - leave null if you want to auto-select the first tenant)
   XERO_TENANT_ID: null,
 
+  // Brand/template -> tenant mapping (see tenantRegistry.js)
+  XERO_TENANTS_BY_BRAND: "",
+
+  // Brand registry (see brandRegistry.js / brands.example.json)
+  BRANDS_CONFIG_PATH: "/etc/pl-xero/brands.json",
+
+  // VAT rate -> Xero TaxType table (see taxMap.js / tax-map.example.json)
+  TAX_MAP_PATH: "/etc/pl-xero/tax-map.json",
+
   // Branding theme IDs (from Xero -> Settings -> Invoice Settings)
   BRAND_EDINBURGH: null,
   BRAND_SDK: null,
@@ -37,4 +89,27 @@ module.exports = {
   // PrintLogic API config
   PL_API_URL: "https://www.printlogicsystem.com/api.php",
   PL_API_KEY: null,
+
+  // PrintLogic writeback outbox (retries with exponential backoff)
+  PL_OUTBOX_PATH: "/var/lib/pl-xero/pl-outbox.json",
+  PL_OUTBOX_MAX_ATTEMPTS: 10,
+  PL_OUTBOX_BASE_DELAY_MS: 30000,
+  PL_OUTBOX_MAX_DELAY_MS: 3600000,
+  PL_OUTBOX_POLL_MS: 15000,
+
+  // Xero webhook event queue
+  WEBHOOK_QUEUE_PATH: "/var/lib/pl-xero/webhook-events.json",
+  WEBHOOK_QUEUE_MAX_ATTEMPTS: 8,
+  WEBHOOK_QUEUE_BASE_DELAY_MS: 10000,
+  WEBHOOK_QUEUE_MAX_DELAY_MS: 900000,
+  WEBHOOK_QUEUE_POLL_MS: 5000,
+  WEBHOOK_QUEUE_RETENTION_DAYS: 7,
+
+  // Audit trail of invoice requests and webhook events (see auditLog.js)
+  AUDIT_DB_PATH: "/var/lib/pl-xero/audit.db",
+  AUDIT_RETENTION_DAYS: 365,
+
+  // GET /health/ready (see readiness.js)
+  READINESS_TIMEOUT_MS: 5000,
+  READINESS_BACKLOG_WARN: 100,
 };
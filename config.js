@@ -12,10 +12,15 @@ try {
 
 const path = require("path");
 
+const DATA_DIR = process.env.PL_XERO_DATA_DIR || "/var/lib/pl-xero";
+
 module.exports = {
   // Basic app settings
   PORT: process.env.PORT || 4002,
   LOG_LEVEL: process.env.LOG_LEVEL || "info", // "debug" | "info" | "warn" | "error"
+  LOG_FORMAT: process.env.LOG_FORMAT || "json", // "json" | "pretty"
+  // Extra field names to redact in logs (comma-separated, see logger.js)
+  LOG_REDACT_FIELDS: process.env.LOG_REDACT_FIELDS || "",
 
   // Xero OAuth settings (must be set in .env)
   XERO_CLIENT_ID: process.env.XERO_CLIENT_ID,
@@ -25,8 +30,69 @@ module.exports = {
     process.env.XERO_SCOPES ||
     "offline_access accounting.transactions accounting.contacts accounting.settings",
 
-  // Where we store the Xero token JSON
-  TOKEN_PATH: "/var/lib/pl-xero/xero-token.json",
+  // Webhook signing key (Xero developer portal → Webhooks)
+  XERO_WEBHOOK_KEY: process.env.XERO_WEBHOOK_KEY || null,
+
+  // Xero token store (see tokenStore.js): "file" (default) or "sqlite"
+  TOKEN_STORE: process.env.TOKEN_STORE || "file",
+  TOKEN_PATH:
+    process.env.TOKEN_PATH || path.join(DATA_DIR, "xero-token.json"),
+  TOKEN_DB_PATH:
+    process.env.TOKEN_DB_PATH || path.join(DATA_DIR, "xero-token.db"),
+  // AES-256 key for the stored token: 64 hex chars or base64 of 32 bytes
+  TOKEN_ENCRYPTION_KEY: process.env.TOKEN_ENCRYPTION_KEY || null,
+
+  // Refresh the access token this long before it expires
+  XERO_TOKEN_REFRESH_MARGIN_SEC: parseInt(
+    process.env.XERO_TOKEN_REFRESH_MARGIN_SEC || "300",
+    10
+  ),
+  // How long the Xero connection (tenant) list is cached
+  XERO_TENANTS_CACHE_TTL_MS: parseInt(
+    process.env.XERO_TENANTS_CACHE_TTL_MS || "900000",
+    10
+  ),
+
+  // Xero rate limits (see xeroRateLimit.js)
+  XERO_MAX_CONCURRENT_CALLS: parseInt(
+    process.env.XERO_MAX_CONCURRENT_CALLS || "5",
+    10
+  ),
+  XERO_RATE_LIMIT_MAX_RETRIES: parseInt(
+    process.env.XERO_RATE_LIMIT_MAX_RETRIES || "3",
+    10
+  ),
+  XERO_RATE_LIMIT_MAX_WAIT_MS: parseInt(
+    process.env.XERO_RATE_LIMIT_MAX_WAIT_MS || "60000",
+    10
+  ),
+
+  // Local state (order → invoice ledger, etc.)
+  DATA_DIR: DATA_DIR,
+  INVOICE_LEDGER_PATH:
+    process.env.INVOICE_LEDGER_PATH ||
+    path.join(DATA_DIR, "invoice-ledger.json"),
+  CONTACT_CACHE_PATH:
+    process.env.CONTACT_CACHE_PATH || path.join(DATA_DIR, "contact-cache.json"),
+
+  // Inbound API authentication (see apiAuth.js / api-keys.example.json)
+  API_KEYS_PATH: process.env.API_KEYS_PATH || "/etc/pl-xero/api-keys.json",
+  API_AUTH_DISABLED: ["1", "true", "yes"].includes(
+    String(process.env.API_AUTH_DISABLED || "").trim().toLowerCase()
+  ),
+  API_HMAC_TOLERANCE_SEC: parseInt(
+    process.env.API_HMAC_TOLERANCE_SEC || "300",
+    10
+  ),
+  // Browser origins allowed by CORS (comma-separated); none by default
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean),
+
+  // Server-side rules for logicConfig (see rulesEngine.js)
+  LOGIC_RULES_PATH:
+    process.env.LOGIC_RULES_PATH || "/etc/pl-xero/logic-rules.json",
 
   // Accounting config
   XERO_SALES_ACCOUNT: process.env.XERO_SALES_ACCOUNT || "200",
@@ -34,9 +100,28 @@ module.exports = {
   // Stripe / online payment clearing account
   XERO_STRIPE_ACCOUNT: process.env.XERO_STRIPE_ACCOUNT || null,
 
+  // Payment method → bank/clearing account code, e.g. "stripe=0002;bacs=090"
+  XERO_PAYMENT_ACCOUNTS: process.env.XERO_PAYMENT_ACCOUNTS || "",
+
+  // Processing fees (e.g. Stripe) booked as spend money from the payment account
+  XERO_PAYMENT_FEE_ACCOUNT: process.env.XERO_PAYMENT_FEE_ACCOUNT || null,
+  XERO_PAYMENT_FEE_TAX_TYPE:
+    process.env.XERO_PAYMENT_FEE_TAX_TYPE || "EXEMPTINPUT",
+  XERO_PAYMENT_FEE_CONTACT: process.env.XERO_PAYMENT_FEE_CONTACT || "Stripe",
+
   // Tenant (OPTIONAL — leave null if you want to auto-select the first tenant)
   XERO_TENANT_ID: process.env.XERO_TENANT_ID || null,
 
+  // Brand/template → tenant mapping (see tenantRegistry.js)
+  XERO_TENANTS_BY_BRAND: process.env.XERO_TENANTS_BY_BRAND || "",
+
+  // Brand registry (see brandRegistry.js / brands.example.json)
+  BRANDS_CONFIG_PATH:
+    process.env.BRANDS_CONFIG_PATH || "/etc/pl-xero/brands.json",
+
+  // VAT rate → Xero TaxType table (see taxMap.js / tax-map.example.json)
+  TAX_MAP_PATH: process.env.TAX_MAP_PATH || "/etc/pl-xero/tax-map.json",
+
   // Branding theme IDs (from Xero → Settings → Invoice Settings)
   BRAND_EDINBURGH: process.env.XERO_BRAND_EDINBURGH || null,
   BRAND_SDK: process.env.XERO_BRAND_SDK || null,
@@ -47,4 +132,54 @@ module.exports = {
   PL_API_URL:
     process.env.PL_API_URL || "https://www.printlogicsystem.com/api.php",
   PL_API_KEY: process.env.PL_API_KEY || null,
+
+  // PrintLogic writeback outbox (retries with exponential backoff)
+  PL_OUTBOX_PATH:
+    process.env.PL_OUTBOX_PATH || path.join(DATA_DIR, "pl-outbox.json"),
+  PL_OUTBOX_MAX_ATTEMPTS: parseInt(process.env.PL_OUTBOX_MAX_ATTEMPTS || "10", 10),
+  PL_OUTBOX_BASE_DELAY_MS: parseInt(
+    process.env.PL_OUTBOX_BASE_DELAY_MS || "30000",
+    10
+  ),
+  PL_OUTBOX_MAX_DELAY_MS: parseInt(
+    process.env.PL_OUTBOX_MAX_DELAY_MS || "3600000",
+    10
+  ),
+  PL_OUTBOX_POLL_MS: parseInt(process.env.PL_OUTBOX_POLL_MS || "15000", 10),
+
+  // Xero webhook event queue
+  WEBHOOK_QUEUE_PATH:
+    process.env.WEBHOOK_QUEUE_PATH ||
+    path.join(DATA_DIR, "webhook-events.json"),
+  WEBHOOK_QUEUE_MAX_ATTEMPTS: parseInt(
+    process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || "8",
+    10
+  ),
+  WEBHOOK_QUEUE_BASE_DELAY_MS: parseInt(
+    process.env.WEBHOOK_QUEUE_BASE_DELAY_MS || "10000",
+    10
+  ),
+  WEBHOOK_QUEUE_MAX_DELAY_MS: parseInt(
+    process.env.WEBHOOK_QUEUE_MAX_DELAY_MS || "900000",
+    10
+  ),
+  WEBHOOK_QUEUE_POLL_MS: parseInt(
+    process.env.WEBHOOK_QUEUE_POLL_MS || "5000",
+    10
+  ),
+  WEBHOOK_QUEUE_RETENTION_DAYS: parseInt(
+    process.env.WEBHOOK_QUEUE_RETENTION_DAYS || "7",
+    10
+  ),
+
+  // Audit trail of invoice requests and webhook events (see auditLog.js)
+  AUDIT_DB_PATH: process.env.AUDIT_DB_PATH || path.join(DATA_DIR, "audit.db"),
+  AUDIT_RETENTION_DAYS: parseInt(process.env.AUDIT_RETENTION_DAYS || "365", 10),
+
+  // GET /health/ready (see readiness.js)
+  READINESS_TIMEOUT_MS: parseInt(process.env.READINESS_TIMEOUT_MS || "5000", 10),
+  READINESS_BACKLOG_WARN: parseInt(
+    process.env.READINESS_BACKLOG_WARN || "100",
+    10
+  ),
 };
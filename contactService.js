@@ -0,0 +1,368 @@
+// contactService.js
+// -----------------------------------------------------------------------------
+// Resolve the Xero contact for a PrintLogic customer.
+//
+// Instead of sending `contact: { name }` and letting Xero match on the exact
+// name (which creates duplicates for "Acme Ltd " vs "ACME LTD"), we look the
+// contact up ourselves:
+//   1) by PL customer ID, stored on the Xero contact as accountNumber
+//   2) by email address
+//   3) by normalised name
+// then create or update it with the billing address, phone and VAT number from
+// the PL payload, and cache the resolved ContactID locally.
+//
+// A contact found by email or name that already carries a different account
+// number belongs to another PL customer, so it is not a match: it is neither
+// updated nor invoiced. A new contact is created instead, its name suffixed
+// with the PL customer ID when the plain name is taken (Xero contact names are
+// unique). The PL customer ID is only written to a contact whose account
+// number is empty.
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const { CONTACT_CACHE_PATH } = require("./config");
+const { createJsonFileStore } = require("./jsonFileStore");
+const { createLogger } = require("./logger");
+
+const log = createLogger("contactService");
+
+const store = createJsonFileStore(CONTACT_CACHE_PATH, () => ({ contacts: {} }));
+
+// ---------- payload helpers ----------
+
+// First non-empty value for any of `keys`, looking in pl_order then order_detail
+function pickField(payload, keys) {
+  const sources = [payload?.pl_order || {}, payload?.order_detail || {}];
+  for (const src of sources) {
+    for (const key of keys) {
+      const value = src[key];
+      if (value !== undefined && value !== null && String(value).trim() !== "") {
+        return String(value).trim();
+      }
+    }
+  }
+  return undefined;
+}
+
+function normalizeName(name) {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+// Xero's `where` filter has no escaping for quotes, so drop them
+function whereValue(value) {
+  return String(value).replace(/["\\]/g, "");
+}
+
+/**
+ * Pull the customer/contact details we send to Xero out of the PL payload.
+ */
+function extractContactDetails(payload) {
+  const name =
+    pickField(payload, ["customer_name", "order_contact"]) || "Unknown Customer";
+
+  const details = {
+    customerId: pickField(payload, [
+      "customer_id",
+      "customer_account",
+      "customer_code",
+    ]),
+    name,
+    email: pickField(payload, ["customer_email", "order_contact_email"]),
+    phone: pickField(payload, [
+      "customer_phone",
+      "customer_telephone",
+      "order_contact_phone",
+    ]),
+    taxNumber: pickField(payload, [
+      "customer_vat_number",
+      "customer_vat_no",
+      "vat_number",
+    ]),
+    address: {
+      addressLine1: pickField(payload, ["invoice_address1", "customer_address1"]),
+      addressLine2: pickField(payload, ["invoice_address2", "customer_address2"]),
+      addressLine3: pickField(payload, ["invoice_address3", "customer_address3"]),
+      city: pickField(payload, [
+        "invoice_town",
+        "invoice_city",
+        "customer_town",
+        "customer_city",
+      ]),
+      region: pickField(payload, ["invoice_county", "customer_county"]),
+      postalCode: pickField(payload, ["invoice_postcode", "customer_postcode"]),
+      country: pickField(payload, ["invoice_country", "customer_country"]),
+    },
+  };
+
+  return details;
+}
+
+/**
+ * Build the Xero Contact body for create/update from extracted details.
+ * accountNumber is sent for new contacts, and for existing ones only when
+ * `setAccountNumber` says theirs is empty.
+ */
+function buildContactModel(details, contactID, { setAccountNumber = !contactID } = {}) {
+  const contact = {};
+
+  // Existing contacts keep the name staff have in Xero; only new ones get ours
+  if (contactID) {
+    contact.contactID = contactID;
+  } else {
+    contact.name = details.name.replace(/\s+/g, " ");
+  }
+
+  if (details.customerId && setAccountNumber) {
+    contact.accountNumber = details.customerId;
+  }
+  if (details.email) contact.emailAddress = details.email;
+  if (details.taxNumber) contact.taxNumber = details.taxNumber;
+
+  if (details.phone) {
+    contact.phones = [{ phoneType: "DEFAULT", phoneNumber: details.phone }];
+  }
+
+  const address = Object.fromEntries(
+    Object.entries(details.address).filter(([, v]) => v !== undefined)
+  );
+  if (Object.keys(address).length > 0) {
+    // POBOX is Xero's billing/postal address
+    contact.addresses = [{ addressType: "POBOX", ...address }];
+  }
+
+  return contact;
+}
+
+// Contacts are per Xero organisation, so the tenant is part of the key
+function cacheKeyFor(xeroTenantId, details) {
+  let key;
+  if (details.customerId) key = `id:${details.customerId}`;
+  else if (details.email) key = `email:${details.email.toLowerCase()}`;
+  else key = `name:${normalizeName(details.name)}`;
+  return `${xeroTenantId}:${key}`;
+}
+
+function fingerprint(contactModel) {
+  const { contactID, ...rest } = contactModel;
+  return crypto.createHash("sha256").update(JSON.stringify(rest)).digest("hex");
+}
+
+// ---------- Xero lookups ----------
+
+async function findContacts(xeroClient, xeroTenantId, { where, searchTerm }) {
+  const response = await xeroClient.accountingApi.getContacts(
+    xeroTenantId,
+    undefined, // ifModifiedSince
+    where,
+    undefined, // order
+    undefined, // iDs
+    undefined, // page
+    false, // includeArchived
+    true, // summaryOnly
+    searchTerm
+  );
+  return response?.body?.contacts || [];
+}
+
+// A contact that carries another PL customer's ID can't be this customer's
+function belongsToOther(contact, details) {
+  return Boolean(
+    details.customerId &&
+      contact.accountNumber &&
+      contact.accountNumber !== details.customerId
+  );
+}
+
+/**
+ * Search Xero for an existing contact: account number, then email, then
+ * normalised name, skipping contacts that belong to another PL customer.
+ * Returns { contact, matchedBy, conflicts } (contact null when none matched);
+ * `conflicts` are the skipped contacts.
+ */
+async function findExistingContact(xeroClient, xeroTenantId, details) {
+  const conflicts = [];
+  const pick = (candidates) => {
+    for (const contact of candidates) {
+      if (!belongsToOther(contact, details)) return contact;
+      conflicts.push(contact);
+    }
+    return null;
+  };
+
+  if (details.customerId) {
+    const byAccount = await findContacts(xeroClient, xeroTenantId, {
+      where: `AccountNumber=="${whereValue(details.customerId)}"`,
+    });
+    if (byAccount.length > 0) {
+      return { contact: byAccount[0], matchedBy: "accountNumber", conflicts };
+    }
+  }
+
+  if (details.email) {
+    const byEmail = await findContacts(xeroClient, xeroTenantId, {
+      where: `EmailAddress=="${whereValue(details.email)}"`,
+    });
+    const match = pick(byEmail);
+    if (match) {
+      return { contact: match, matchedBy: "email", conflicts };
+    }
+  }
+
+  const wanted = normalizeName(details.name);
+  if (wanted && wanted !== "unknown customer") {
+    const byName = await findContacts(xeroClient, xeroTenantId, {
+      searchTerm: details.name.trim(),
+    });
+    const match = pick(byName.filter((c) => normalizeName(c.name) === wanted));
+    if (match) {
+      return { contact: match, matchedBy: "name", conflicts };
+    }
+  }
+
+  return { contact: null, matchedBy: null, conflicts };
+}
+
+// ---------- main entry ----------
+
+/**
+ * Find or create the Xero contact for this PL payload and bring its details
+ * up to date. Returns { contactID, matchedBy, created, updated }.
+ */
+async function resolveContact(xeroClient, xeroTenantId, payload) {
+  const details = extractContactDetails(payload);
+  const cacheKey = cacheKeyFor(xeroTenantId, details);
+
+  try {
+    return await upsertContact(xeroClient, xeroTenantId, details, cacheKey, {
+      useCache: true,
+    });
+  } catch (err) {
+    const cache = store.read();
+    if (!cache.contacts?.[cacheKey]) throw err;
+
+    // The cached contact may have been archived or merged in Xero since we
+    // resolved it; forget it and resolve from scratch once.
+    log.warn("Cached contact rejected by Xero, resolving again", {
+      error: err?.response?.body?.Message || err.message || String(err),
+    });
+    delete cache.contacts[cacheKey];
+    store.write(cache);
+
+    return upsertContact(xeroClient, xeroTenantId, details, cacheKey, {
+      useCache: false,
+    });
+  }
+}
+
+async function upsertContact(
+  xeroClient,
+  xeroTenantId,
+  details,
+  cacheKey,
+  { useCache }
+) {
+  const cache = store.read();
+  cache.contacts = cache.contacts || {};
+  let cached = useCache ? cache.contacts[cacheKey] : undefined;
+
+  // Cached before conflicts were checked, pointing at another customer's
+  // contact: resolve again
+  if (cached && belongsToOther(cached, details)) {
+    log.warn("Cached contact belongs to another PL customer, resolving again", {
+      contactID: cached.contactID,
+    });
+    cached = undefined;
+  }
+
+  let contactID = cached?.contactID || null;
+  let matchedBy = contactID ? "cache" : null;
+  // The contact's account number in Xero; undefined when we don't know it
+  // (cache entries from before it was recorded), which leaves it untouched
+  let accountNumber = cached ? cached.accountNumber : undefined;
+  let contactDetails = details;
+
+  if (!contactID) {
+    const existing = await findExistingContact(xeroClient, xeroTenantId, details);
+
+    if (existing.conflicts.length > 0) {
+      log.warn("Contacts with the same email or name belong to another PL customer", {
+        contactIDs: existing.conflicts.map((c) => c.contactID),
+        plCustomerId: details.customerId,
+      });
+    }
+
+    if (existing.contact) {
+      contactID = existing.contact.contactID;
+      matchedBy = existing.matchedBy;
+      accountNumber = existing.contact.accountNumber || "";
+    } else if (
+      existing.conflicts.some(
+        (c) => normalizeName(c.name) === normalizeName(details.name)
+      )
+    ) {
+      // Xero contact names are unique, so the new contact needs its own
+      contactDetails = {
+        ...details,
+        name: `${details.name.trim()} (${details.customerId})`,
+      };
+    }
+  }
+
+  const contactModel = buildContactModel(contactDetails, contactID, {
+    setAccountNumber: !contactID || accountNumber === "",
+  });
+  const fp = fingerprint(contactModel);
+
+  // Cached and nothing changed since we last pushed it: no Xero call needed
+  if (cached && cached.contactID === contactID && cached.fingerprint === fp) {
+    return { contactID, matchedBy, created: false, updated: false };
+  }
+
+  const response = await xeroClient.accountingApi.updateOrCreateContacts(
+    xeroTenantId,
+    { contacts: [contactModel] },
+    true // summarizeErrors
+  );
+
+  const saved = response?.body?.contacts?.[0];
+  if (!saved?.contactID) {
+    throw new Error("Xero updateOrCreateContacts returned no contactID");
+  }
+
+  const created = !contactID;
+  log.info(`${created ? "Created" : "Updated"} contact`, {
+    contactID: saved.contactID,
+    matchedBy: matchedBy || "none",
+  });
+
+  cache.contacts[cacheKey] = {
+    contactID: saved.contactID,
+    accountNumber: saved.accountNumber || "",
+    fingerprint: fp,
+    updatedAt: new Date().toISOString(),
+  };
+  try {
+    store.write(cache);
+  } catch (err) {
+    log.error("Failed to persist contact cache", {
+      error: err.message || String(err),
+    });
+  }
+
+  return {
+    contactID: saved.contactID,
+    matchedBy: matchedBy || "created",
+    created,
+    updated: !created,
+  };
+}
+
+module.exports = {
+  extractContactDetails,
+  buildContactModel,
+  resolveContact,
+};
@@ -0,0 +1,389 @@
+// creditNoteService.js
+// -----------------------------------------------------------------------------
+// Credit notes for refunds and cancelled orders (POST /create-credit-note).
+//
+// The original invoice is found from the PL order number (local ledger first,
+// then the "[order_number]" reference in Xero). Without any lines in the
+// request the whole invoice is credited, copying its lines; with PL items
+// (order_detail.items) or lineItems only those are credited, using the
+// invoice's brand tracking and sales account and the usual tax mapping.
+// The credit note is then allocated against the invoice when it is still
+// outstanding.
+//
+// Repeats are caught by a request key: the Idempotency-Key header, or else a
+// hash of the invoice and the lines to credit. It is sent to Xero and kept in
+// the ledger with the credit note, so a retried request returns the credit
+// note it already raised instead of crediting the invoice again.
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const { AppError } = require("./errors");
+const { xero } = require("./xeroClient");
+const { buildLineItems } = require("./invoiceHelpers");
+const { assertTaxTypesUsable } = require("./taxMap");
+const { stripInternalFields } = require("./rulesEngine");
+const {
+  toXeroAppError,
+  xeroFailure,
+  loadExistingInvoice,
+} = require("./invoiceService");
+const {
+  getCreditNotesForOrder,
+  recordCreditNoteForOrder,
+  withOrderLock,
+} = require("./invoiceLedger");
+const { createLogger } = require("./logger");
+
+const log = createLogger("creditNoteService");
+
+const CREDITABLE_STATUSES = ["AUTHORISED", "PAID"];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isNonEmptyObject(value) {
+  return (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0
+  );
+}
+
+function hasRequestedLines(payload) {
+  return (
+    isNonEmptyObject(payload.order_detail?.items) ||
+    (Array.isArray(payload.lineItems) && payload.lineItems.length > 0)
+  );
+}
+
+function validateCreditPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new AppError("Invalid payload: expected object", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  const orderNumber = String(payload.order_number ?? "").trim();
+  if (!orderNumber) {
+    throw new AppError("Invalid payload: order_number is required", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  return orderNumber;
+}
+
+// Copy of the invoice's lines, keeping account, tax and tracking
+function copyInvoiceLines(invoice) {
+  return (invoice.lineItems || []).map((li) => {
+    const line = {
+      description: li.description,
+      quantity: li.quantity,
+      unitAmount: li.unitAmount,
+      accountCode: li.accountCode,
+      taxType: li.taxType,
+    };
+    if (li.itemCode) line.itemCode = li.itemCode;
+    if (Array.isArray(li.tracking) && li.tracking.length > 0) {
+      line.tracking = li.tracking.map((t) => ({ name: t.name, option: t.option }));
+    }
+    return line;
+  });
+}
+
+/**
+ * Credit note lines: the requested PL items / lineItems, built the same way
+ * as invoice lines but with the original invoice's brand tracking and sales
+ * account, or a copy of every invoice line when none were requested.
+ */
+function buildCreditLines(payload, invoice) {
+  if (!hasRequestedLines(payload)) {
+    return { full: true, lineItems: copyInvoiceLines(invoice) };
+  }
+
+  const firstLine = (invoice.lineItems || [])[0] || {};
+  const brandTracking = (invoice.lineItems || [])
+    .flatMap((li) => li.tracking || [])
+    .find((t) => t.name === "Brand");
+
+  const lineItems = buildLineItems(payload, brandTracking?.option || null, {
+    salesAccount: firstLine.accountCode || null,
+  });
+
+  return { full: false, lineItems };
+}
+
+function netAmount(lineItems) {
+  return round2(
+    lineItems.reduce(
+      (sum, li) =>
+        sum + (parseFloat(li.quantity ?? 1) || 0) * (parseFloat(li.unitAmount) || 0),
+      0
+    )
+  );
+}
+
+function checkCreditable(invoice, { full, lineItems }) {
+  if (!CREDITABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError(
+      `Invoice ${invoice.invoiceNumber} is ${invoice.status}; only ${CREDITABLE_STATUSES.join(
+        "/"
+      )} invoices can be credited`,
+      {
+        status: 409,
+        code: "INVOICE_NOT_CREDITABLE",
+        details: { invoiceId: invoice.invoiceID, status: invoice.status },
+      }
+    );
+  }
+
+  if (lineItems.length === 0) {
+    throw new AppError("Nothing to credit: no lines", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  // Crediting every line again would over-credit a part-credited invoice
+  if (full && (invoice.amountCredited || 0) > 0) {
+    throw new AppError(
+      `Invoice ${invoice.invoiceNumber} already has ${invoice.amountCredited} credited; send the lines to credit`,
+      {
+        status: 409,
+        code: "INVOICE_ALREADY_CREDITED",
+        details: {
+          invoiceId: invoice.invoiceID,
+          amountCredited: invoice.amountCredited,
+        },
+      }
+    );
+  }
+
+  // amountCredited includes tax; scale it to the invoice's net so it can be
+  // compared with the (net) credit lines
+  const net = netAmount(lineItems);
+  const invoiceNet = round2(invoice.subTotal || 0);
+  const invoiceTotal = round2(invoice.total || 0);
+  const amountCredited = round2(invoice.amountCredited || 0);
+  const creditedNet =
+    invoiceTotal > 0
+      ? round2((amountCredited * invoiceNet) / invoiceTotal)
+      : amountCredited;
+
+  if (round2(net + creditedNet) > invoiceNet) {
+    throw new AppError(
+      `Credit (${net}) plus earlier credits (${creditedNet}) is more than the invoice (${invoiceNet}) before tax`,
+      {
+        status: 400,
+        code: "CREDIT_EXCEEDS_INVOICE",
+        details: { creditNet: net, creditedNet, invoiceNet },
+      }
+    );
+  }
+}
+
+// Idempotency-Key, or a key derived from the invoice and the lines credited
+function creditRequestKey(orderNumber, invoice, lineItems, idempotencyKey) {
+  const explicit = String(idempotencyKey || "").trim();
+  if (explicit) return explicit;
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([invoice.invoiceID, lineItems]))
+    .digest("hex")
+    .slice(0, 32);
+  return `credit-${orderNumber}-${hash}`;
+}
+
+function buildCreditNoteModel(payload, invoice, lineItems) {
+  const reason = String(payload.reason || "").trim();
+  const reference = [invoice.reference, reason ? `Credit: ${reason}` : "Credit"]
+    .filter(Boolean)
+    .join(" ")
+    .slice(0, 255);
+
+  const creditNote = {
+    type: "ACCRECCREDIT",
+    contact: { contactID: invoice.contact?.contactID },
+    date: new Date().toISOString().slice(0, 10),
+    lineItems,
+    lineAmountTypes: invoice.lineAmountTypes || "Exclusive",
+    reference,
+    status: "AUTHORISED",
+  };
+
+  if (invoice.brandingThemeID) {
+    creditNote.brandingThemeID = invoice.brandingThemeID;
+  }
+  if (invoice.currencyCode) {
+    creditNote.currencyCode = invoice.currencyCode;
+  }
+
+  return creditNote;
+}
+
+/**
+ * Allocate the credit note against the invoice when it is still outstanding.
+ * Failures are reported, not thrown: the credit note exists by then.
+ */
+async function maybeAllocate(tenantId, invoice, creditNote, allocate) {
+  if (!allocate) {
+    return { allocated: false, reason: "allocation not requested" };
+  }
+
+  const amountDue = round2(invoice.amountDue || 0);
+  if (invoice.status !== "AUTHORISED" || amountDue <= 0) {
+    return {
+      allocated: false,
+      reason: `invoice is ${invoice.status} with ${amountDue} due; refund the credit note in Xero`,
+    };
+  }
+
+  const amount = round2(Math.min(creditNote.total || 0, amountDue));
+  const allocations = {
+    allocations: [
+      {
+        invoice: { invoiceID: invoice.invoiceID },
+        amount,
+        date: new Date().toISOString().slice(0, 10),
+      },
+    ],
+  };
+
+  try {
+    await xero.accountingApi.createCreditNoteAllocation(
+      tenantId,
+      creditNote.creditNoteID,
+      allocations
+    );
+    log.info(
+      `Allocated ${amount} of ${creditNote.creditNoteNumber} to ${invoice.invoiceNumber}`
+    );
+    return { allocated: true, amount };
+  } catch (err) {
+    return {
+      allocated: false,
+      amount,
+      ...xeroFailure(err, "createCreditNoteAllocation"),
+    };
+  }
+}
+
+async function createCreditNoteForOrder(payload, orderNumber, idempotencyKey) {
+  const { xeroTenantId: tenantId, existing: invoice } =
+    await loadExistingInvoice(orderNumber, [
+      payload.template,
+      payload.pl_order?.customer_category,
+    ]);
+
+  const lines = buildCreditLines(payload, invoice);
+
+  const requestKey = creditRequestKey(
+    orderNumber,
+    invoice,
+    lines.lineItems,
+    idempotencyKey
+  );
+  const previous = getCreditNotesForOrder(orderNumber).find(
+    (cn) => cn.requestKey === requestKey && cn.invoiceId === invoice.invoiceID
+  );
+  if (previous) {
+    log.info(
+      `Credit note ${previous.creditNoteNumber} already raised for this request on order ${orderNumber}`
+    );
+    return {
+      duplicate: true,
+      creditNoteId: previous.creditNoteId,
+      creditNoteNumber: previous.creditNoteNumber,
+      total: previous.total,
+      full: lines.full,
+      invoiceId: invoice.invoiceID,
+      invoiceNumber: invoice.invoiceNumber || null,
+      tenantId,
+      allocation: { allocated: false, reason: "duplicate request" },
+    };
+  }
+
+  checkCreditable(invoice, lines);
+  assertTaxTypesUsable(tenantId, lines.lineItems);
+
+  const creditNote = buildCreditNoteModel(payload, invoice, lines.lineItems);
+  log.debug("Xero credit note model", creditNote);
+
+  let result;
+  try {
+    result = await xero.accountingApi.createCreditNotes(
+      tenantId,
+      { creditNotes: [creditNote] },
+      true, // summarizeErrors
+      2, // unitdp
+      requestKey
+    );
+  } catch (err) {
+    throw toXeroAppError(err, "createCreditNotes");
+  }
+
+  const created = result?.body?.creditNotes?.[0];
+  if (!created?.creditNoteID) {
+    throw new AppError("Xero response missing creditNoteID", {
+      status: 502,
+      code: "XERO_BAD_RESPONSE",
+      details: result?.body || null,
+    });
+  }
+
+  log.info(`Created ${created.creditNoteNumber} for order ${orderNumber}`, {
+    invoiceNumber: invoice.invoiceNumber,
+  });
+
+  recordCreditNoteForOrder(orderNumber, {
+    creditNoteId: created.creditNoteID,
+    creditNoteNumber: created.creditNoteNumber,
+    invoiceId: invoice.invoiceID,
+    total: created.total,
+    tenantId,
+    requestKey,
+  });
+
+  const allocate = !["false", "0", "no"].includes(
+    String(payload.allocate ?? "true").trim().toLowerCase()
+  );
+  const allocation = await maybeAllocate(tenantId, invoice, created, allocate);
+
+  return {
+    duplicate: false,
+    creditNoteId: created.creditNoteID,
+    creditNoteNumber: created.creditNoteNumber || null,
+    total: created.total ?? null,
+    full: lines.full,
+    invoiceId: invoice.invoiceID,
+    invoiceNumber: invoice.invoiceNumber || null,
+    tenantId,
+    allocation,
+  };
+}
+
+/**
+ * Entry point for POST /create-credit-note.
+ *
+ * Payload: { order_number, order_detail?.items | lineItems?, reason?, allocate? }
+ * Serialised with /create-invoice for the same order.
+ */
+async function createCreditNoteFromPlPayload(rawPayload, { idempotencyKey } = {}) {
+  const orderNumber = validateCreditPayload(rawPayload);
+  // Credit notes don't run the rules, so no underscore keys (_accountCode…)
+  const payload = stripInternalFields(rawPayload);
+
+  return withOrderLock(orderNumber, () =>
+    createCreditNoteForOrder(payload, orderNumber, idempotencyKey)
+  );
+}
+
+module.exports = {
+  createCreditNoteFromPlPayload,
+};
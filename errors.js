@@ -0,0 +1,21 @@
+// errors.js
+// -----------------------------------------------------------------------------
+// Shared error type. xero-bridge.js turns an AppError into a JSON response
+// using its `status`, `code` and (optional) `details`.
+// -----------------------------------------------------------------------------
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = {
+  AppError,
+};
@@ -5,6 +5,7 @@
 //   - Branding theme selection (by customer category + isWeb)
 //   - Brand tracking option for Xero Tracking
 //   - Line item builder (from PL's order_detail.items)
+//   - PL order number extraction from Xero invoice references
 //   - (Legacy) Invoice payload builder { Invoices: [ { ... } ] }
 // -----------------------------------------------------------------------------
 //
@@ -22,6 +23,10 @@ try {
   CONFIG = {};
 }
 
+const { createLogger } = require("./logger");
+
+const log = createLogger("invoiceHelpers");
+
 // Basic accounts
 const XERO_SALES_ACCOUNT =
   CONFIG.XERO_SALES_ACCOUNT || process.env.XERO_SALES_ACCOUNT || "200";
@@ -29,67 +34,41 @@ const XERO_SALES_ACCOUNT =
 const XERO_STRIPE_ACCOUNT =
   CONFIG.XERO_STRIPE_ACCOUNT || process.env.XERO_STRIPE_ACCOUNT || null;
 
-// Branding theme IDs (from Xero → Settings → Invoice Settings → Branding)
-const BRAND_EDINBURGH =
-  CONFIG.XERO_BRAND_EDINBURGH || process.env.XERO_BRAND_EDINBURGH;
-const BRAND_SDK = CONFIG.XERO_BRAND_SDK || process.env.XERO_BRAND_SDK;
-const BRAND_GICLEE =
-  CONFIG.XERO_BRAND_GICLEE || process.env.XERO_BRAND_GICLEE;
-const BRAND_PPS = CONFIG.XERO_BRAND_PPS || process.env.XERO_BRAND_PPS;
+// Branding theme IDs, tracking options etc. live in the brand registry
+const { findBrand, getWebDefaultBrand } = require("./brandRegistry");
 
 // --------------------------- Tax helpers -----------------------------
-// Map PL VAT rate (%) to Xero's taxType codes.
-// Adjust the strings to match your Xero tax codes.
-
-function mapVatToTaxType(vatRateStr) {
-  const rate = parseFloat(vatRateStr || "0");
-  if (isNaN(rate)) return "OUTPUT2"; // default 20%
+// PL VAT rate (%) → Xero taxType codes. The table is configurable (see
+// taxMap.js / TAX_MAP_PATH); unmapped rates are rejected, not defaulted.
 
-  if (rate === 0) return "EXEMPTOUTPUT"; // Exempt / Zero-rated
-  if (rate === 20) return "OUTPUT2"; // 20% VAT
-  if (rate === 5) return "REDUCED"; // adjust if your 5% code differs
-
-  // Default fallback
-  return "OUTPUT2";
-}
+const { mapVatToTaxType } = require("./taxMap");
 
 // --------------------------- Branding helpers ------------------------
 // Decide brandingThemeId based on customer category or 'isWeb'.
-// Full logic is in Power Automate – here we just pick the Xero Branding Theme.
+// Full logic is in Power Automate – here we just pick the Xero Branding Theme
+// from the brand registry (see brandRegistry.js).
 
-function getBrandingThemeId({ categoryRaw, isWeb }) {
-  const cat = (categoryRaw || "").toLowerCase();
-
-  if (cat.includes("edinburgh banners") && BRAND_EDINBURGH) return BRAND_EDINBURGH;
-  if (cat.includes("giclee") && BRAND_GICLEE) return BRAND_GICLEE;
-  if (cat.includes("pro print") && BRAND_PPS) return BRAND_PPS;
-  if (cat.includes("sdk") && BRAND_SDK) return BRAND_SDK;
-
-  // Web orders default to Edinburgh Banners if set
-  if (isWeb && BRAND_EDINBURGH) return BRAND_EDINBURGH;
+function brandFor({ categoryRaw, isWeb }) {
+  return findBrand(categoryRaw) || (isWeb ? getWebDefaultBrand() : null);
+}
 
+function getBrandingThemeId({ categoryRaw, isWeb }) {
   // If nothing matches, Xero will use its default branding
-  return undefined;
+  return brandFor({ categoryRaw, isWeb })?.brandingThemeId || undefined;
 }
 
 // Decide tracking option for "Brand" tracking category in Xero
 function getBrandTrackingOption({ categoryRaw, isWeb }) {
-  const cat = (categoryRaw || "").toLowerCase();
-
-  if (cat.includes("edinburgh banners")) return "Edinburgh Banners";
-  if (cat.includes("giclee")) return "Giclee";
-  if (cat.includes("pro print")) return "Pro Print Studio";
-  if (cat.includes("sdk")) return "SDK Group";
-
-  if (isWeb) return "Edinburgh Banners";
-
-  return undefined;
+  return brandFor({ categoryRaw, isWeb })?.trackingOption || undefined;
 }
 
 // --------------------------- Line item builder -----------------------
 // NEW SIGNATURE:
 //
-//   buildLineItems(plPayload, brandTrackingOption)
+//   buildLineItems(plPayload, brandTrackingOption, { salesAccount })
+//
+// salesAccount is the brand's account code (optional); a server-side rule's
+// accountCode beats it, and XERO_SALES_ACCOUNT is the fallback.
 //
 // Reads PL's order_detail.items which is usually an object:
 //   { "1": { ... }, "2": { ... }, "3": { ... } }
@@ -101,7 +80,11 @@ function getBrandTrackingOption({ categoryRaw, isWeb }) {
 // still show the Qty in the description.
 // Also: we DO NOT skip quantity=0 items (could be free shipping/services).
 
-function buildLineItems(plPayload, brandTrackingOption) {
+function buildLineItems(
+  plPayload,
+  brandTrackingOption,
+  { salesAccount: brandAccount } = {}
+) {
   const defaultTaxType = (process.env.XERO_DEFAULT_TAX_TYPE || "").trim();
   const applyDefaultTaxType = (items) => {
     if (!defaultTaxType || !Array.isArray(items)) return items;
@@ -122,27 +105,31 @@ function buildLineItems(plPayload, brandTrackingOption) {
       }
     });
     if (appliedCount > 0) {
-      console.log(
-        "[invoiceHelpers] Applied default taxType to",
-        appliedCount,
-        "line items:",
-        defaultTaxType
-      );
+      log.info(`Applied default taxType to ${appliedCount} line item(s)`, {
+        taxType: defaultTaxType,
+      });
     }
     return items;
   };
 
   const order_detail = plPayload?.order_detail;
 
+  // Server-side rules can override the sales account (see rulesEngine.js)
+  const accountOverride = plPayload?._accountCode;
+  const salesAccount = accountOverride || brandAccount || XERO_SALES_ACCOUNT;
+
   // If explicit lineItems were provided in the payload (future-proofing), trust them.
   if (Array.isArray(plPayload?.lineItems) && plPayload.lineItems.length > 0) {
-    console.log("[invoiceHelpers.buildLineItems] Using lineItems from request.");
-    return applyDefaultTaxType(plPayload.lineItems);
+    log.debug("buildLineItems: using lineItems from request");
+    const requestLines = accountOverride
+      ? plPayload.lineItems.map((li) => ({ ...li, accountCode: accountOverride }))
+      : plPayload.lineItems;
+    return applyDefaultTaxType(requestLines);
   }
 
   if (!order_detail?.items || typeof order_detail.items !== "object") {
-    console.log(
-      "[invoiceHelpers.buildLineItems] order_detail.items not present or not an object – returning empty lineItems."
+    log.warn(
+      "buildLineItems: order_detail.items not present or not an object – returning empty lineItems"
     );
     return [];
   }
@@ -164,8 +151,14 @@ function buildLineItems(plPayload, brandTrackingOption) {
     const qtyText = !isNaN(qty) ? ` (Qty ${qty})` : "";
     const desc = title + qtyText + (detail ? ` - ${detail}` : "");
 
-    const vatRateStr = item.vat || "0";
-    const taxType = mapVatToTaxType(vatRateStr);
+    let taxType;
+    try {
+      taxType = mapVatToTaxType(item.vat, item.vat_treatment);
+    } catch (err) {
+      // Say which PL line was at fault
+      if (err.details) err.details = { item: key, title, ...err.details };
+      throw err;
+    }
 
     // Optional tracking array for Xero
     const tracking =
@@ -182,7 +175,7 @@ function buildLineItems(plPayload, brandTrackingOption) {
       description: desc,
       quantity: 1, // full line total as a single unit
       unitAmount: lineTotal,
-      accountCode: XERO_SALES_ACCOUNT,
+      accountCode: salesAccount,
       taxType,
     };
 
@@ -193,13 +186,32 @@ function buildLineItems(plPayload, brandTrackingOption) {
     xeroLineItems.push(line);
   });
 
-  console.log(
-    "[invoiceHelpers.buildLineItems] Built lineItems from order_detail.items (including qty=0 items):",
-    xeroLineItems.length
-  );
+  log.debug("buildLineItems: built lineItems from order_detail.items", {
+    count: xeroLineItems.length,
+  });
   return applyDefaultTaxType(xeroLineItems);
 }
 
+// --------------------------- Reference helpers -----------------------
+
+/**
+ * Extract PL order number from an invoice reference string.
+ * Expected formats:
+ *   "[6663]"
+ *   "WEB-1532TEST [6662]"
+ * Returns the numeric part as a string, or null if not found.
+ */
+function extractOrderNumberFromReference(ref) {
+  if (!ref || typeof ref !== "string") return null;
+
+  // Look for a [12345] pattern (e.g. "WEB-1532TEST [6662]" or "[6663]")
+  const match = ref.match(/\[(\d+)\]/);
+  if (match && match[1]) return match[1];
+
+  // No bracketed order number found
+  return null;
+}
+
 // --------------------------- Legacy invoice payload builder ---------
 // (Not used by the new invoiceService, but kept for backwards-compatibility)
 
@@ -276,5 +288,6 @@ module.exports = {
   getBrandingThemeId,
   getBrandTrackingOption,
   buildLineItems,
+  extractOrderNumberFromReference,
   buildInvoicePayload,
 };
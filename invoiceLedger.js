@@ -0,0 +1,187 @@
+// invoiceLedger.js
+// -----------------------------------------------------------------------------
+// PrintLogic order number → Xero invoice (and credit note) mapping.
+//
+// Power Automate retries POST /create-invoice on timeouts and flow re-runs, so
+// we remember which invoice was created for each order and serialise work on
+// the same order with an in-process lock.
+// -----------------------------------------------------------------------------
+
+const { INVOICE_LEDGER_PATH } = require("./config");
+const { createJsonFileStore } = require("./jsonFileStore");
+const { createLogger } = require("./logger");
+
+const log = createLogger("invoiceLedger");
+
+const store = createJsonFileStore(INVOICE_LEDGER_PATH, () => ({ orders: {} }));
+
+// orderNumber -> tail of the promise chain for that order
+const orderLocks = new Map();
+
+/**
+ * Look up the invoice previously recorded for a PL order.
+ *
+ * @param {string|number} orderNumber
+ * @returns {{ invoiceId: string, invoiceNumber: string|null, reference: string|null, tenantId: string|null, createdAt: string }|null}
+ *   null when there is none, or it was voided
+ */
+function getInvoiceForOrder(orderNumber) {
+  if (orderNumber === undefined || orderNumber === null || orderNumber === "") {
+    return null;
+  }
+
+  const data = store.read();
+  const entry = data.orders?.[String(orderNumber)] || null;
+
+  // A voided invoice no longer counts as the order's invoice
+  return entry && !entry.voidedAt ? entry : null;
+}
+
+/**
+ * Remember which Xero invoice was created for a PL order.
+ */
+function recordInvoiceForOrder(
+  orderNumber,
+  { invoiceId, invoiceNumber, reference, tenantId }
+) {
+  if (orderNumber === undefined || orderNumber === null || orderNumber === "") {
+    return;
+  }
+
+  const data = store.read();
+  data.orders = data.orders || {};
+  data.orders[String(orderNumber)] = {
+    invoiceId,
+    invoiceNumber: invoiceNumber || null,
+    reference: reference || null,
+    tenantId: tenantId || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  try {
+    store.write(data);
+  } catch (err) {
+    // The invoice already exists in Xero at this point; the reference lookup
+    // still protects us from duplicates, so don't fail the request.
+    log.error("Failed to persist order → invoice mapping", {
+      orderNumber: String(orderNumber),
+      error: err.message || String(err),
+    });
+  }
+}
+
+/**
+ * Mark the order's recorded invoice as voided/deleted, so the order can be
+ * invoiced again.
+ */
+function markInvoiceVoided(orderNumber) {
+  if (orderNumber === undefined || orderNumber === null || orderNumber === "") {
+    return;
+  }
+
+  const data = store.read();
+  const entry = data.orders?.[String(orderNumber)];
+  if (!entry) return;
+
+  entry.voidedAt = new Date().toISOString();
+
+  try {
+    store.write(data);
+  } catch (err) {
+    log.error("Failed to persist voided invoice", {
+      orderNumber: String(orderNumber),
+      error: err.message || String(err),
+    });
+  }
+}
+
+/**
+ * Credit notes raised against a PL order's invoice, oldest first.
+ *
+ * @returns {{ creditNoteId: string, creditNoteNumber: string|null, invoiceId: string|null, total: number|null, tenantId: string|null, requestKey: string|null, createdAt: string }[]}
+ */
+function getCreditNotesForOrder(orderNumber) {
+  if (orderNumber === undefined || orderNumber === null || orderNumber === "") {
+    return [];
+  }
+
+  const data = store.read();
+  return data.creditNotes?.[String(orderNumber)] || [];
+}
+
+/**
+ * Remember a credit note raised for a PL order.
+ */
+function recordCreditNoteForOrder(
+  orderNumber,
+  { creditNoteId, creditNoteNumber, invoiceId, total, tenantId, requestKey }
+) {
+  if (orderNumber === undefined || orderNumber === null || orderNumber === "") {
+    return;
+  }
+
+  const data = store.read();
+  data.creditNotes = data.creditNotes || {};
+  const key = String(orderNumber);
+  data.creditNotes[key] = [
+    ...(data.creditNotes[key] || []),
+    {
+      creditNoteId,
+      creditNoteNumber: creditNoteNumber || null,
+      invoiceId: invoiceId || null,
+      total: total ?? null,
+      tenantId: tenantId || null,
+      requestKey: requestKey || null,
+      createdAt: new Date().toISOString(),
+    },
+  ];
+
+  try {
+    store.write(data);
+  } catch (err) {
+    log.error("Failed to persist order → credit note mapping", {
+      orderNumber: String(orderNumber),
+      error: err.message || String(err),
+    });
+  }
+}
+
+/**
+ * Run `fn` while holding an in-process lock for the given order number.
+ * Calls for the same order run one after another; different orders run
+ * concurrently. Without an order number `fn` just runs.
+ */
+async function withOrderLock(orderNumber, fn) {
+  if (orderNumber === undefined || orderNumber === null || orderNumber === "") {
+    return fn();
+  }
+
+  const key = String(orderNumber);
+  const previous = orderLocks.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  orderLocks.set(key, tail);
+
+  try {
+    await previous;
+    return await fn();
+  } finally {
+    release();
+    if (orderLocks.get(key) === tail) {
+      orderLocks.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  getInvoiceForOrder,
+  recordInvoiceForOrder,
+  markInvoiceVoided,
+  getCreditNotesForOrder,
+  recordCreditNoteForOrder,
+  withOrderLock,
+};
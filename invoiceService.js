@@ -1,19 +1,36 @@
 // invoiceService.js
 
-const { xero, ensureXeroReady } = require("./xeroClient");
-const { buildLineItems } = require("./invoiceHelpers");
-
-class AppError extends Error {
-  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
-    super(message);
-    this.name = "AppError";
-    this.status = status;
-    this.code = code;
-    if (details !== undefined) {
-      this.details = details;
-    }
-  }
-}
+const {
+  XERO_PAYMENT_ACCOUNTS,
+  XERO_PAYMENT_FEE_ACCOUNT,
+  XERO_PAYMENT_FEE_TAX_TYPE,
+  XERO_PAYMENT_FEE_CONTACT,
+} = require("./config");
+const { AppError } = require("./errors");
+const { xero, ensureXeroReadyFor, getTenantId } = require("./xeroClient");
+const { tenantIdForBrand } = require("./tenantRegistry");
+const {
+  buildLineItems,
+  extractOrderNumberFromReference,
+} = require("./invoiceHelpers");
+const {
+  resolveContact,
+  extractContactDetails,
+  buildContactModel,
+} = require("./contactService");
+const { findBrand, fingerprintId } = require("./brandRegistry");
+const { assertTaxTypesUsable } = require("./taxMap");
+const { INVOICE_STATUSES } = require("./rulesEngine");
+const {
+  getInvoiceForOrder,
+  recordInvoiceForOrder,
+  markInvoiceVoided,
+  withOrderLock,
+} = require("./invoiceLedger");
+const { createLogger, redact } = require("./logger");
+const { invoicesCreated, invoicesFailed } = require("./metrics");
+
+const log = createLogger("invoiceService");
 
 function isNonEmptyObject(value) {
   return (
@@ -35,7 +52,9 @@ function validatePayload(plPayload) {
     });
   }
 
-  if (Object.keys(plPayload).length === 0) {
+  // Underscore keys (_ruleTrace, _skipXero, …) are added server-side
+  const callerKeys = Object.keys(plPayload).filter((k) => !k.startsWith("_"));
+  if (callerKeys.length === 0) {
     throw new AppError("Invalid payload: empty object", {
       status: 400,
       code: "BAD_REQUEST",
@@ -53,6 +72,135 @@ function validatePayload(plPayload) {
       code: "BAD_REQUEST",
     });
   }
+
+  validatePayments(plPayload.payments, plPayload.payment_fee);
+}
+
+/**
+ * Normalise an error thrown by the xero-node client into an AppError
+ * (XERO_VALIDATION / XERO_AUTH / XERO_UPSTREAM). AppErrors pass through.
+ */
+function toXeroAppError(err, label) {
+  // Already classified (e.g. XERO_RATE_LIMITED from xeroRateLimit.js)
+  if (err instanceof AppError) return err;
+
+  const { raw, eObj, status, body } = parseXeroThrown(err);
+
+  // xero-node's error strings include the request's Authorization header
+  const rawPrefix = typeof raw === "string" ? redact(raw).slice(0, 400) : null;
+
+  const details =
+    body ?? {
+      thrownType: typeof raw,
+      status,
+      message: eObj?.message ? redact(String(eObj.message)) : null,
+      keys: eObj && typeof eObj === "object" ? Object.keys(eObj) : null,
+      rawPrefix,
+    };
+
+  log.error(`${label} threw`, {
+    thrownType: typeof raw,
+    status,
+    message: eObj?.message ?? null,
+    rawPrefix: rawPrefix ? rawPrefix.slice(0, 200) : null,
+  });
+
+  if (status === 400) {
+    return new AppError("Xero validation error", {
+      status: 400,
+      code: "XERO_VALIDATION",
+      details,
+    });
+  }
+
+  if (status === 401 || status === 403) {
+    return new AppError("Xero auth error", {
+      status: 502,
+      code: "XERO_AUTH",
+      details,
+    });
+  }
+
+  return new AppError("Xero upstream error", {
+    status: 502,
+    code: "XERO_UPSTREAM",
+    details,
+  });
+}
+
+// Xero's own explanation from an error body: validation messages, else the
+// Message / Detail / title field
+function xeroMessage(body) {
+  if (!body || typeof body !== "object") return null;
+
+  const validation = (body.Elements || body.elements || [])
+    .flatMap((e) => e?.ValidationErrors || e?.validationErrors || [])
+    .map((v) => v?.Message || v?.message)
+    .filter(Boolean);
+  if (validation.length > 0) return validation.join("; ");
+
+  return (
+    body.Message || body.message || body.Detail || body.detail || body.title || null
+  );
+}
+
+/**
+ * The part of a failed Xero call that is safe to return to the caller and
+ * keep in the audit trail: Xero's HTTP status, our error code and Xero's
+ * message. Never the raw error, which carries the access token.
+ *
+ * @returns {{ code: string, xeroStatus: number|null, error: string }}
+ */
+function xeroFailure(err, label) {
+  const appError = toXeroAppError(err, label);
+  const xeroStatus = err instanceof AppError ? null : parseXeroThrown(err).status;
+  const message =
+    xeroMessage(appError.details) || appError.message || "Xero error";
+
+  return {
+    code: appError.code,
+    xeroStatus,
+    error: redact(String(message)),
+  };
+}
+
+// Status, body and parsed form of whatever xero-node threw (an Error, an
+// axios error or a JSON string)
+function parseXeroThrown(err) {
+  const unwrap = (v) =>
+    v && typeof v === "object"
+      ? v.error ?? v.innerError ?? v.cause ?? v
+      : v;
+  const raw = unwrap(err);
+  let eObj = raw;
+  if (typeof raw === "string") {
+    try {
+      eObj = JSON.parse(raw);
+    } catch {
+      eObj = { message: raw };
+    }
+  } else if (raw == null) {
+    eObj = { message: "Unknown error from Xero client" };
+  }
+
+  const status =
+    eObj?.response?.statusCode ??
+    eObj?.response?.status ??
+    eObj?.status ??
+    eObj?.statusCode ??
+    eObj?.StatusCode ??
+    null;
+
+  const body =
+    eObj?.response?.body ??
+    eObj?.response?.data ??
+    eObj?.body ??
+    eObj?.data ??
+    eObj?.error ??
+    eObj?.Error ??
+    null;
+
+  return { raw, eObj, status, body };
 }
 
 function toBool(val) {
@@ -78,102 +226,29 @@ function deriveContext(payload) {
 
   const isWebOrder = !!(order_po && order_po.startsWith("WEB-"));
 
-  // Brand / template → branding theme
-  let brandingThemeId = undefined;
+  // Brand / template → branding theme, tracking, etc. (see brandRegistry.js)
   let customerCategory = pl_order.customer_category || "";
-  let brandTrackingOption = undefined;
-
-  const normalizeKey = (value) => String(value || "").trim().toLowerCase();
-  const templateRaw = template || "";
-  const customerCategoryRaw = customerCategory || "";
-  const templateValue = String(templateRaw).trim();
-  const categoryValue = String(customerCategoryRaw).trim();
-  const templateKey = normalizeKey(templateRaw);
-  const categoryKey = normalizeKey(customerCategoryRaw);
-  const tplRaw = templateValue || categoryValue || "";
-  const tpl = tplRaw;
-
-  const BRANDING_BY_TPL = {
-    // Edinburgh
-    "edinburgh_banners": process.env.XERO_BRAND_EDINBURGH,
-    "edinburgh banners": process.env.XERO_BRAND_EDINBURGH,
-
-    // SDK
-    "sdk": process.env.XERO_BRAND_SDK,
-    "sdk_group": process.env.XERO_BRAND_SDK,
-    "sdk group": process.env.XERO_BRAND_SDK,
-
-    // Giclee
-    "giclee": process.env.XERO_BRAND_GICLEE,
-    "giclée": process.env.XERO_BRAND_GICLEE,
-
-    // PPS
-    "pps": process.env.XERO_BRAND_PPS,
-    "pro print": process.env.XERO_BRAND_PPS,
-    "pro print studio": process.env.XERO_BRAND_PPS,
-  };
 
-  const TRACKING_BY_TPL = {
-    "edinburgh_banners": {
-      customerCategory: "Edinburgh_Banners",
-      brandTrackingOption: "Edinburgh Banners",
-    },
-    "edinburgh banners": {
-      customerCategory: "Edinburgh_Banners",
-      brandTrackingOption: "Edinburgh Banners",
-    },
-    "giclee": {
-      customerCategory: "Giclee",
-      brandTrackingOption: "Giclee",
-    },
-    "giclée": {
-      customerCategory: "Giclee",
-      brandTrackingOption: "Giclee",
-    },
-    "sdk": {
-      customerCategory: "SDK_Group",
-      brandTrackingOption: "SDK Group",
-    },
-    "sdk_group": {
-      customerCategory: "SDK_Group",
-      brandTrackingOption: "SDK Group",
-    },
-    "sdk group": {
-      customerCategory: "SDK_Group",
-      brandTrackingOption: "SDK Group",
-    },
-    "pps": {
-      customerCategory: "Pro Print Studio",
-      brandTrackingOption: "Pro Print Studio",
-    },
-    "pro print": {
-      customerCategory: "Pro Print Studio",
-      brandTrackingOption: "Pro Print Studio",
-    },
-    "pro print studio": {
-      customerCategory: "Pro Print Studio",
-      brandTrackingOption: "Pro Print Studio",
-    },
-  };
+  const templateValue = String(template || "").trim();
+  const categoryValue = String(customerCategory || "").trim();
+  const tpl = templateValue || categoryValue || "";
 
-  brandingThemeId =
-    BRANDING_BY_TPL[templateKey] || BRANDING_BY_TPL[categoryKey] || undefined;
+  // Template wins over customer category
+  const brand = findBrand(templateValue) || findBrand(categoryValue);
 
-  // tracking/category defaults
-  customerCategory = categoryValue || tpl || "Default";
-  brandTrackingOption = tpl || "Default";
+  const brandingThemeId = brand?.brandingThemeId || undefined;
 
-  // Optional: force “nice” tracking labels
-  const trackingOverride =
-    TRACKING_BY_TPL[templateKey] || TRACKING_BY_TPL[categoryKey];
-  if (trackingOverride) {
-    customerCategory = trackingOverride.customerCategory || customerCategory;
-    brandTrackingOption =
-      trackingOverride.brandTrackingOption || brandTrackingOption;
-  }
+  // tracking/category defaults, replaced by the brand's "nice" labels
+  customerCategory =
+    brand?.customerCategory || categoryValue || tpl || "Default";
+  const brandTrackingOption = brand?.trackingOption || tpl || "Default";
 
   const markAsPaidFlag = toBool(markAsPaid);
-  const emailCustomerFlag = toBool(emailCustomer);
+
+  // Brands can force emailing on or off regardless of what PA sent
+  let emailCustomerFlag = toBool(emailCustomer);
+  if (brand?.emailCustomer === "always") emailCustomerFlag = true;
+  if (brand?.emailCustomer === "never") emailCustomerFlag = false;
 
   const XERO_STRIPE_ACCOUNT =
     process.env.XERO_STRIPE_ACCOUNT ||
@@ -184,19 +259,22 @@ function deriveContext(payload) {
     template: tpl,
     logicSource: logicSource || "",
     isWebOrder,
+    brandKey: brand?.key || null,
     customerCategory,
     brandingThemeId,
     brandTrackingOption,
+    salesAccount: brand?.salesAccount || null,
+    dueDays: brand?.dueDays ?? null,
     markAsPaidFlag,
     emailCustomerFlag,
     XERO_STRIPE_ACCOUNT,
   };
 
-  console.log("[invoiceService] derived values:", JSON.stringify(context, null, 2));
-
   // safe fingerprint (no full IDs in logs)
-  const _bt = (context.brandingThemeId || "").trim();
-  console.log("[invoiceService] brandingThemeId fp:", _bt ? ("len=" + _bt.length + " " + _bt.slice(0,4) + "…" + _bt.slice(-4)) : "(none)");
+  log.debug("Derived values", {
+    ...context,
+    brandingThemeId: fingerprintId(context.brandingThemeId),
+  });
 
   return context;
 }
@@ -207,10 +285,19 @@ function deriveContext(payload) {
  */
 function buildInvoiceModel(payload, context) {
   const { order_number, order_po, pl_order = {}, order_detail = {} } = payload;
-  const { brandingThemeId, brandTrackingOption } = context;
+  const { brandingThemeId, brandTrackingOption, salesAccount, dueDays } =
+    context;
 
   const todayIso = new Date().toISOString().slice(0, 10);
 
+  // No PL due date: use the brand's default terms, else due today
+  const defaultDueIso =
+    dueDays !== null && dueDays !== undefined
+      ? new Date(Date.now() + dueDays * 24 * 60 * 60 * 1000)
+          .toISOString()
+          .slice(0, 10)
+      : todayIso;
+
   const contactName =
     pl_order.customer_name ||
     order_detail.customer_name ||
@@ -228,7 +315,7 @@ function buildInvoiceModel(payload, context) {
   const dueDate =
     order_detail.order_date_due && order_detail.order_date_due !== "0000-00-00"
       ? order_detail.order_date_due
-      : todayIso;
+      : defaultDueIso;
 
   const referenceParts = [];
   if (order_po) referenceParts.push(order_po);
@@ -237,8 +324,10 @@ function buildInvoiceModel(payload, context) {
 
   // Build line items from the full PL payload so invoiceHelpers
   // can find order_detail.items itself
-  const lineItems = buildLineItems(payload, brandTrackingOption);
-  console.log("[invoiceService] lineItems length:", lineItems.length);
+  const lineItems = buildLineItems(payload, brandTrackingOption, {
+    salesAccount,
+  });
+  log.debug("Built line items", { count: lineItems.length });
 
   const invoice = {
     type: "ACCREC",
@@ -249,7 +338,10 @@ function buildInvoiceModel(payload, context) {
     date: todayIso,
     dueDate,
     reference,
-    status: "AUTHORISED",
+    // Server-side rules may ask for DRAFT/SUBMITTED instead (see rulesEngine.js)
+    status: INVOICE_STATUSES.includes(payload._invoiceStatus)
+      ? payload._invoiceStatus
+      : "AUTHORISED",
     lineAmountTypes: "Exclusive",
   };
 
@@ -261,35 +353,16 @@ function buildInvoiceModel(payload, context) {
     invoice.brandingThemeID = brandingThemeId;
   }
 
-  console.log(
-    "[invoiceService] Xero invoice model:",
-    JSON.stringify(invoice, null, 2)
-  );
+  log.debug("Xero invoice model", invoice);
 
   return invoice;
 }
 
 /**
- * Optionally mark the invoice as paid in Xero using createPayments.
+ * Amount (inc VAT) to pay when marking the invoice as paid, from the PL
+ * order totals. Returns null when it can't be determined.
  */
-async function maybeMarkAsPaid(
-  xeroClient,
-  xeroTenantId,
-  payload,
-  context,
-  createdInvoice
-) {
-  if (!context.markAsPaidFlag) {
-    return;
-  }
-
-  if (!createdInvoice || !createdInvoice.invoiceID) {
-    console.warn(
-      "[invoiceService] markAsPaid requested but no invoiceID returned from Xero"
-    );
-    return;
-  }
-
+function computePaymentAmount(payload) {
   const { pl_order = {}, order_detail = {} } = payload;
 
   const totalIncVatStr =
@@ -309,73 +382,426 @@ async function maybeMarkAsPaid(
 
   const amount = totalIncVatStr ? parseFloat(totalIncVatStr) : null;
 
-  if (!amount || isNaN(amount)) {
-    console.warn(
-      "[invoiceService] markAsPaid requested but could not determine amount, skipping payment."
-    );
-    return;
+  return !amount || isNaN(amount) ? null : amount;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "stripe=0002;bacs=090" (or JSON) → { stripe: "0002", bacs: "090" }
+function parsePaymentAccounts(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return {};
+
+  let entries;
+  if (text.startsWith("{")) {
+    try {
+      entries = Object.entries(JSON.parse(text));
+    } catch (err) {
+      log.error("XERO_PAYMENT_ACCOUNTS is not valid JSON", err);
+      return {};
+    }
+  } else {
+    entries = text
+      .split(/[;,\n]/)
+      .map((pair) => pair.split("="))
+      .filter((parts) => parts.length === 2);
+  }
+
+  const map = {};
+  for (const [method, code] of entries) {
+    const key = String(method || "").trim().toLowerCase();
+    const value = String(code || "").trim();
+    if (key && value) map[key] = value;
+  }
+  return map;
+}
+
+const PAYMENT_ACCOUNTS = parsePaymentAccounts(XERO_PAYMENT_ACCOUNTS);
+
+function isValidFee(fee) {
+  if (fee === undefined || fee === null || fee === "") return true;
+  const n = parseFloat(fee);
+  return !isNaN(n) && n >= 0;
+}
+
+function parseFee(fee) {
+  const n = parseFloat(fee);
+  return isNaN(n) || n <= 0 ? null : round2(n);
+}
+
+/**
+ * Check the optional `payments` array on a payload. Each entry is
+ *   { amount | balance: true, date?, account_code?, reference?, method?, fee? }
+ * where `balance: true` pays whatever is left on the invoice and `fee` is the
+ * processor's fee taken out of it (e.g. Stripe).
+ */
+function validatePayments(payments, paymentFee) {
+  if (!isValidFee(paymentFee)) {
+    throw new AppError("Invalid payment_fee: must be a non-negative number", {
+      status: 400,
+      code: "INVALID_PAYMENT",
+    });
   }
 
+  if (payments === undefined || payments === null) return;
+
+  const invalid = (message, index) =>
+    new AppError(`Invalid payment${index === undefined ? "s" : ` #${index + 1}`}: ${message}`, {
+      status: 400,
+      code: "INVALID_PAYMENT",
+      details: index === undefined ? undefined : { index, payment: payments[index] },
+    });
+
+  if (!Array.isArray(payments)) {
+    throw invalid("expected an array");
+  }
+
+  let balanceCount = 0;
+  payments.forEach((p, index) => {
+    if (!p || typeof p !== "object" || Array.isArray(p)) {
+      throw invalid("expected an object", index);
+    }
+    if (toBool(p.balance)) {
+      balanceCount += 1;
+    } else {
+      const amount = parseFloat(p.amount);
+      if (isNaN(amount) || amount <= 0) {
+        throw invalid("amount must be a positive number (or set balance: true)", index);
+      }
+    }
+    if (p.date !== undefined && p.date !== null && !ISO_DATE.test(String(p.date))) {
+      throw invalid("date must be YYYY-MM-DD", index);
+    }
+    if (!isValidFee(p.fee)) {
+      throw invalid("fee must be a non-negative number", index);
+    }
+    if (!toBool(p.balance) && parseFee(p.fee) > parseFloat(p.amount)) {
+      throw invalid("fee is more than the payment", index);
+    }
+  });
+
+  if (balanceCount > 1) {
+    throw invalid("only one payment can be the balance");
+  }
+}
+
+// A payment without a reference gets one made from its date, method and
+// amount. It is sent to Xero as the payment's reference, so a retried request
+// finds the payment on the invoice and doesn't apply it twice.
+function withPaymentReference(payment) {
+  if (payment.reference || payment.amount === null || payment.skipped) {
+    return payment;
+  }
+  const reference = [
+    "PL",
+    payment.method || (payment.accountCode ? `account ${payment.accountCode}` : "payment"),
+    payment.date,
+    Number(payment.amount).toFixed(2),
+  ].join(" ");
+  return { ...payment, reference };
+}
+
+/**
+ * The payments to record for this payload: the `payments` array when given,
+ * else (markAsPaid) one payment of the PL order total into the Stripe
+ * account, with `payment_fee` as its fee. Balance payments have
+ * `amount: null` until resolvePaymentAmounts.
+ */
+function planPayments(payload, context) {
   const todayIso = new Date().toISOString().slice(0, 10);
 
-  const payment = {
-    payments: [
+  if (Array.isArray(payload.payments) && payload.payments.length > 0) {
+    return payload.payments.map((p) => {
+      const method = p.method ? String(p.method).trim() : null;
+      return withPaymentReference({
+        amount: toBool(p.balance) ? null : round2(parseFloat(p.amount)),
+        balance: toBool(p.balance),
+        date: p.date ? String(p.date) : todayIso,
+        accountCode:
+          (p.account_code && String(p.account_code)) ||
+          (method && PAYMENT_ACCOUNTS[method.toLowerCase()]) ||
+          context.XERO_STRIPE_ACCOUNT,
+        reference: p.reference ? String(p.reference) : null,
+        method,
+        fee: parseFee(p.fee),
+      });
+    });
+  }
+
+  if (!context.markAsPaidFlag) {
+    return [];
+  }
+
+  const amount = computePaymentAmount(payload);
+  return [
+    withPaymentReference({
+      amount,
+      balance: false,
+      date: todayIso,
+      accountCode: context.XERO_STRIPE_ACCOUNT,
+      reference: null,
+      method: null,
+      fee: parseFee(payload.payment_fee),
+      ...(amount ? {} : { skipped: true, reason: "could not determine amount" }),
+    }),
+  ];
+}
+
+// Fill in the balance payment from what is due after the other payments.
+// Payments already on the invoice (same reference) are in amountDue already.
+function resolvePaymentAmounts(planned, amountDue, existingPayments = []) {
+  const knownReferences = new Set(
+    existingPayments.map((p) => p.reference).filter(Boolean)
+  );
+  const explicit = planned
+    .filter((p) => !p.balance && !p.skipped)
+    .filter((p) => !(p.reference && knownReferences.has(p.reference)))
+    .reduce((sum, p) => sum + p.amount, 0);
+
+  return planned.map((p) => {
+    if (!p.balance) return p;
+    if (amountDue === null || amountDue === undefined) {
+      return { ...p, skipped: true, reason: "amount due unknown" };
+    }
+    const amount = round2(amountDue - explicit);
+    return amount > 0
+      ? withPaymentReference({ ...p, amount })
+      : { ...p, amount: 0, skipped: true, reason: "nothing left to pay" };
+  });
+}
+
+/**
+ * Xero createPayments body for one planned payment against the invoice.
+ */
+function buildPaymentModel(invoiceID, payment) {
+  const model = {
+    invoice: {
+      invoiceID,
+    },
+    account: {
+      code: payment.accountCode,
+    },
+    date: payment.date,
+    amount: payment.amount,
+  };
+
+  if (payment.reference) {
+    model.reference = payment.reference;
+  }
+
+  return { payments: [model] };
+}
+
+/**
+ * Xero createBankTransactions body for a processing fee: money spent from
+ * the account the payment went into, so a clearing account like Stripe's
+ * nets down to the payout.
+ */
+function buildFeeTransactionModel(invoice, payment) {
+  const label = payment.reference || invoice.invoiceNumber || invoice.invoiceID;
+
+  return {
+    bankTransactions: [
       {
-        invoice: {
-          invoiceID: createdInvoice.invoiceID,
-        },
-        account: {
-          code: context.XERO_STRIPE_ACCOUNT,
-        },
-        date: todayIso,
-        amount,
+        type: "SPEND",
+        contact: { name: XERO_PAYMENT_FEE_CONTACT },
+        bankAccount: { code: payment.accountCode },
+        date: payment.date,
+        reference: `Fee ${label}`.slice(0, 255),
+        lineAmountTypes: "Inclusive",
+        lineItems: [
+          {
+            description:
+              `Payment processing fee for ${invoice.invoiceNumber || invoice.invoiceID}` +
+              (payment.reference ? ` (${payment.reference})` : ""),
+            quantity: 1,
+            unitAmount: payment.fee,
+            accountCode: XERO_PAYMENT_FEE_ACCOUNT,
+            taxType: XERO_PAYMENT_FEE_TAX_TYPE,
+          },
+        ],
       },
     ],
   };
+}
 
-  console.log(
-    "[invoiceService] Creating payment to mark invoice as paid:",
-    JSON.stringify(payment, null, 2)
-  );
+/**
+ * Record a payment's processing fee as a spend transaction. Returns a
+ * result for the payment's `fee` field, or null when there is no fee.
+ */
+async function maybeRecordFee(xeroClient, xeroTenantId, invoice, payment) {
+  if (!payment.fee) return null;
+
+  if (!XERO_PAYMENT_FEE_ACCOUNT) {
+    log.warn("Payment fee sent but XERO_PAYMENT_FEE_ACCOUNT is not set, skipping fee");
+    return {
+      amount: payment.fee,
+      status: "skipped",
+      reason: "XERO_PAYMENT_FEE_ACCOUNT not set",
+    };
+  }
+
+  const model = buildFeeTransactionModel(invoice, payment);
+  log.debug("Creating fee transaction", model);
 
   try {
-    const response = await xeroClient.accountingApi.createPayments(
+    const response = await xeroClient.accountingApi.createBankTransactions(
       xeroTenantId,
-      payment,
-      true // summarizeErrors
-    );
-    console.log(
-      "[invoiceService] createPayments response:",
-      JSON.stringify(response.body || response.response?.statusCode, null, 2)
+      model,
+      true, // summarizeErrors
+      2 // unitdp
     );
+    const created = response?.body?.bankTransactions?.[0] || {};
+    return {
+      amount: payment.fee,
+      status: "created",
+      bankTransactionId: created.bankTransactionID || null,
+    };
   } catch (err) {
-    const errorJson = err?.response?.body
-      ? JSON.stringify(err.response.body, null, 2)
-      : err.message;
-    console.error("[invoiceService] Error creating payment:", errorJson);
+    return {
+      amount: payment.fee,
+      status: "failed",
+      ...xeroFailure(err, "createBankTransactions"),
+    };
   }
 }
 
 /**
- * Optionally email the invoice to the customer.
+ * Record the planned payments against an invoice, one createPayments call
+ * each so a rejected payment doesn't stop the others. Payments whose
+ * reference (given, or made by withPaymentReference) was already on the
+ * invoice before this request are skipped as duplicates; payments in the same
+ * request never dedupe each other. A payment's
+ * fee is recorded (see maybeRecordFee) once the payment itself succeeded.
+ *
+ * @returns {Promise<object[]>} one result per payment, with status
+ *   "created" | "failed" | "skipped" | "duplicate"
  */
-async function maybeEmailInvoice(
+async function applyPayments(
   xeroClient,
   xeroTenantId,
+  invoice,
+  planned,
+  { existingPayments = [] } = {}
+) {
+  // Only references from earlier requests: two identical payments sent
+  // together are both real
+  const knownReferences = new Set(
+    existingPayments.map((p) => p.reference).filter(Boolean)
+  );
+  const results = [];
+
+  for (const payment of planned) {
+    const summary = {
+      amount: payment.amount,
+      date: payment.date,
+      accountCode: payment.accountCode,
+      reference: payment.reference,
+      method: payment.method,
+    };
+
+    if (payment.skipped) {
+      log.warn(`Payment skipped for ${invoice.invoiceNumber}`, {
+        reason: payment.reason,
+      });
+      results.push({ ...summary, status: "skipped", reason: payment.reason });
+      continue;
+    }
+
+    if (payment.reference && knownReferences.has(payment.reference)) {
+      log.info(`Payment already on ${invoice.invoiceNumber}, skipping`, {
+        reference: payment.reference,
+      });
+      results.push({ ...summary, status: "duplicate" });
+      continue;
+    }
+
+    const model = buildPaymentModel(invoice.invoiceID, payment);
+    log.debug("Creating payment", model);
+
+    try {
+      const response = await xeroClient.accountingApi.createPayments(
+        xeroTenantId,
+        model,
+        true // summarizeErrors
+      );
+      const created = response?.body?.payments?.[0] || {};
+      const result = {
+        ...summary,
+        status: "created",
+        paymentId: created.paymentID || null,
+      };
+
+      const fee = await maybeRecordFee(xeroClient, xeroTenantId, invoice, payment);
+      if (fee) result.fee = fee;
+
+      results.push(result);
+    } catch (err) {
+      results.push({
+        ...summary,
+        status: "failed",
+        ...xeroFailure(err, "createPayments"),
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Record the payload's payments (or markAsPaid) against a newly created
+ * invoice. Failures are reported in the results rather than thrown: the
+ * invoice exists by now.
+ */
+async function recordInitialPayments(
+  xeroClient,
+  xeroTenantId,
+  payload,
   context,
   createdInvoice
 ) {
-  if (!context.emailCustomerFlag) return;
+  const planned = planPayments(payload, context);
+  if (planned.length === 0) {
+    return [];
+  }
+
   if (!createdInvoice || !createdInvoice.invoiceID) {
-    console.warn(
-      "[invoiceService] emailCustomer requested but no invoiceID returned from Xero"
-    );
-    return;
+    log.warn("Payments requested but no invoiceID returned from Xero");
+    return planned.map((p) => ({
+      amount: p.amount,
+      status: "skipped",
+      reason: "no invoiceID returned from Xero",
+    }));
   }
 
-  console.log(
-    `[invoiceService] Emailing invoice ${createdInvoice.invoiceID} to customer`
+  const amountDue = createdInvoice.amountDue ?? createdInvoice.total ?? null;
+  return applyPayments(
+    xeroClient,
+    xeroTenantId,
+    createdInvoice,
+    resolvePaymentAmounts(planned, amountDue)
   );
+}
+
+/**
+ * Optionally email the invoice to the customer. A failure is logged, not
+ * thrown (the invoice exists either way).
+ *
+ * @returns {Promise<{ requested: boolean, sent?: boolean, code?: string, error?: string }>}
+ */
+async function maybeEmailInvoice(
+  xeroClient,
+  xeroTenantId,
+  context,
+  createdInvoice
+) {
+  if (!context.emailCustomerFlag) return { requested: false };
+  if (!createdInvoice || !createdInvoice.invoiceID) {
+    log.warn("emailCustomer requested but no invoiceID returned from Xero");
+    return { requested: true, sent: false, error: "No invoiceID returned from Xero" };
+  }
+
+  log.info(`Emailing invoice ${createdInvoice.invoiceID} to customer`);
 
   try {
     // emailInvoice expects an empty object as body
@@ -385,42 +811,191 @@ async function maybeEmailInvoice(
       createdInvoice.invoiceID,
       requestEmpty
     );
-    console.log(
-      "[invoiceService] emailInvoice response:",
-      JSON.stringify(response.body || response.response?.statusCode, null, 2)
+    log.debug("emailInvoice response", {
+      response: response.body || response.response?.statusCode,
+    });
+    return { requested: true, sent: true };
+  } catch (err) {
+    return { requested: true, sent: false, ...xeroFailure(err, "emailInvoice") };
+  }
+}
+
+// Values tenantRegistry may have a Xero organisation mapped for
+function brandKeysFor(context) {
+  return [
+    context.brandKey,
+    context.customerCategory,
+    context.brandTrackingOption,
+    context.template,
+  ];
+}
+
+/**
+ * Look in Xero for an invoice already raised for this PL order, using the
+ * "[order_number]" reference written by buildInvoiceModel.
+ */
+async function findXeroInvoiceForOrder(xeroClient, xeroTenantId, orderNumber) {
+  // Only numeric order numbers end up as "[1234]" references, and this also
+  // keeps the where clause free of anything we'd need to escape.
+  if (!/^\d+$/.test(orderNumber)) {
+    return null;
+  }
+
+  const where = `Type=="ACCREC" AND Reference.Contains("[${orderNumber}]")`;
+  const statuses = ["DRAFT", "SUBMITTED", "AUTHORISED", "PAID"];
+
+  let response;
+  try {
+    response = await xeroClient.accountingApi.getInvoices(
+      xeroTenantId,
+      undefined, // ifModifiedSince
+      where,
+      undefined, // order
+      undefined, // iDs
+      undefined, // invoiceNumbers
+      undefined, // contactIDs
+      statuses
     );
   } catch (err) {
-    const errorJson = err?.response?.body
-      ? JSON.stringify(err.response.body, null, 2)
-      : err.message;
-    console.error("[invoiceService] Error emailing invoice:", errorJson);
+    throw toXeroAppError(err, "getInvoices");
   }
+
+  const invoices = response?.body?.invoices || [];
+  return (
+    invoices.find(
+      (inv) => extractOrderNumberFromReference(inv.reference) === orderNumber
+    ) || null
+  );
+}
+
+function duplicateResult(existing) {
+  return {
+    invoiceId: existing.invoiceId,
+    invoiceNumber: existing.invoiceNumber || null,
+    reference: existing.reference || null,
+    tenantId: existing.tenantId || null,
+    duplicate: true,
+    invoice: null,
+    rawResponse: null,
+  };
 }
 
 /**
  * Main entry point called from xero-bridge.js
  * with the body from Power Automate / PrintLogic.
+ *
+ * Idempotent per PL order_number: if an invoice already exists for the order
+ * (in the local ledger or in Xero) it is returned with `duplicate: true`
+ * instead of creating another one.
+ *
+ * `audit` (from auditLog.startAudit) is given the derived context, invoice
+ * model and tenant as they are worked out.
  */
-async function createInvoiceFromPlPayload(plPayload) {
-  console.log(
-    "[invoiceService.createInvoiceFromPlPayload] - incoming payload:\n",
-    JSON.stringify(plPayload, null, 2)
-  );
+async function createInvoiceFromPlPayload(plPayload, { audit } = {}) {
+  log.debug("createInvoiceFromPlPayload: incoming payload", plPayload);
 
-  validatePayload(plPayload);
+  try {
+    validatePayload(plPayload);
+
+    const rawOrderNumber = plPayload.order_number;
+    const orderNumber =
+      rawOrderNumber !== undefined && rawOrderNumber !== null
+        ? String(rawOrderNumber).trim()
+        : "";
+
+    const result = await withOrderLock(orderNumber, () =>
+      createInvoiceForOrder(plPayload, orderNumber, audit)
+    );
+    if (!result.duplicate) {
+      invoicesCreated.inc({ brand: brandLabel(plPayload) });
+    }
+    return result;
+  } catch (err) {
+    invoicesFailed.inc({
+      code: err?.code || "INTERNAL_ERROR",
+      brand: brandLabel(plPayload),
+    });
+    throw err;
+  }
+}
+
+// Brand key for metrics, matched the way deriveContext does (template first)
+function brandLabel(plPayload) {
+  const template = String(plPayload?.template || "").trim();
+  const category = String(plPayload?.pl_order?.customer_category || "").trim();
+  return (findBrand(template) || findBrand(category))?.key || "unknown";
+}
+
+async function createInvoiceForOrder(plPayload, orderNumber, audit) {
+  const recorded = getInvoiceForOrder(orderNumber);
+  if (recorded) {
+    log.info(`Order ${orderNumber} already invoiced (ledger)`, {
+      invoiceNumber: recorded.invoiceNumber,
+    });
+    return duplicateResult(recorded);
+  }
 
   const context = deriveContext(plPayload);
+  audit?.set({ context });
 
   const invoice = buildInvoiceModel(plPayload, context);
+  audit?.set({ invoiceModel: invoice });
 
   // Structure the payload the Xero SDK expects:
   // { invoices: [ invoice ] }
   const invoicesWrapper = { invoices: [invoice] };
 
-  const xeroTenantId = await ensureXeroReady();
+  // Brand → Xero organisation (see tenantRegistry.js)
+  const xeroTenantId = await ensureXeroReadyFor({
+    brandKeys: brandKeysFor(context),
+  });
+  audit?.set({ tenantId: xeroTenantId });
+
+  if (orderNumber) {
+    const existing = await findXeroInvoiceForOrder(
+      xero,
+      xeroTenantId,
+      orderNumber
+    );
+
+    if (existing?.invoiceID) {
+      log.info(`Order ${orderNumber} already invoiced in Xero`, {
+        invoiceNumber: existing.invoiceNumber,
+      });
+      const mapping = {
+        invoiceId: existing.invoiceID,
+        invoiceNumber: existing.invoiceNumber,
+        reference: existing.reference,
+        tenantId: xeroTenantId,
+      };
+      recordInvoiceForOrder(orderNumber, mapping);
+      return duplicateResult(mapping);
+    }
+  }
 
-  console.log("[invoiceService] Calling createInvoices with payload:");
-  console.log(JSON.stringify(invoicesWrapper, null, 2));
+  // Tax codes the startup check found missing/archived in this org
+  assertTaxTypesUsable(xeroTenantId, invoice.lineItems);
+
+  // Resolve the Xero contact ourselves (account number → email → name) rather
+  // than letting Xero match on the exact name. If that fails we fall back to
+  // the name/email contact from buildInvoiceModel so the invoice still goes in,
+  // and say so in the result: Xero's name match skips our account number check.
+  let contact;
+  try {
+    const resolved = await resolveContact(xero, xeroTenantId, plPayload);
+    invoice.contact = { contactID: resolved.contactID };
+    contact = {
+      contactID: resolved.contactID,
+      matchedBy: resolved.matchedBy,
+      created: resolved.created,
+    };
+    log.info("Using contact", contact);
+  } catch (err) {
+    contact = { fallback: "name", ...xeroFailure(err, "resolveContact") };
+    log.warn("Contact resolution failed, falling back to name match", contact);
+  }
+
+  log.debug("Calling createInvoices", invoicesWrapper);
 
   let result;
   try {
@@ -434,76 +1009,7 @@ async function createInvoiceFromPlPayload(plPayload) {
       unitdp
     );
   } catch (err) {
-    const unwrap = (v) =>
-      v && typeof v === "object"
-        ? v.error ?? v.innerError ?? v.cause ?? v
-        : v;
-    const raw = unwrap(err);
-    let eObj = raw;
-    if (typeof raw === "string") {
-      try {
-        eObj = JSON.parse(raw);
-      } catch {
-        eObj = { message: raw };
-      }
-    } else if (raw == null) {
-      eObj = { message: "Unknown error from Xero client" };
-    }
-
-    const status =
-      eObj?.response?.statusCode ??
-      eObj?.response?.status ??
-      eObj?.status ??
-      eObj?.statusCode ??
-      eObj?.StatusCode ??
-      null;
-
-    const body =
-      eObj?.response?.body ??
-      eObj?.response?.data ??
-      eObj?.body ??
-      eObj?.data ??
-      eObj?.error ??
-      eObj?.Error ??
-      null;
-
-    const details =
-      body ?? {
-        thrownType: typeof raw,
-        status,
-        message: eObj?.message ?? null,
-        keys: eObj && typeof eObj === "object" ? Object.keys(eObj) : null,
-        rawPrefix: typeof raw === "string" ? raw.slice(0, 400) : null,
-      };
-
-    console.error("[invoiceService] createInvoices threw:", {
-      thrownType: typeof raw,
-      status,
-      message: eObj?.message ?? null,
-      rawPrefix: typeof raw === "string" ? raw.slice(0, 200) : null,
-    });
-
-    if (status === 400) {
-      throw new AppError("Xero validation error", {
-        status: 400,
-        code: "XERO_VALIDATION",
-        details,
-      });
-    }
-
-    if (status === 401 || status === 403) {
-      throw new AppError("Xero auth error", {
-        status: 502,
-        code: "XERO_AUTH",
-        details,
-      });
-    }
-
-    throw new AppError("Xero upstream error", {
-      status: 502,
-      code: "XERO_UPSTREAM",
-      details,
-    });
+    throw toXeroAppError(err, "createInvoices");
   }
 
   const createdInvoice =
@@ -511,10 +1017,9 @@ async function createInvoiceFromPlPayload(plPayload) {
       ? result.body.invoices[0]
       : null;
 
-  console.log(
-    "[invoiceService] createInvoices response:",
-    JSON.stringify(result.body || result.response?.statusCode, null, 2)
-  );
+  log.debug("createInvoices response", {
+    response: result.body || result.response?.statusCode,
+  });
 
   if (!createdInvoice?.invoiceID) {
     throw new AppError("Xero response missing invoiceID", {
@@ -524,11 +1029,33 @@ async function createInvoiceFromPlPayload(plPayload) {
     });
   }
 
-  // Mark as paid, if requested
-  await maybeMarkAsPaid(xero, xeroTenantId, plPayload, context, createdInvoice);
+  recordInvoiceForOrder(orderNumber, {
+    invoiceId: createdInvoice.invoiceID,
+    invoiceNumber: createdInvoice.invoiceNumber,
+    reference: createdInvoice.reference || invoice.reference,
+    tenantId: xeroTenantId,
+  });
+  log.info(`Created invoice ${createdInvoice.invoiceNumber} for order ${orderNumber}`, {
+    invoiceId: createdInvoice.invoiceID,
+    tenantId: xeroTenantId,
+  });
+
+  // Deposits / payments / markAsPaid
+  const payments = await recordInitialPayments(
+    xero,
+    xeroTenantId,
+    plPayload,
+    context,
+    createdInvoice
+  );
 
   // Email customer, if requested
-  await maybeEmailInvoice(xero, xeroTenantId, context, createdInvoice);
+  const email = await maybeEmailInvoice(
+    xero,
+    xeroTenantId,
+    context,
+    createdInvoice
+  );
 
   const invoiceId = createdInvoice.invoiceID || createdInvoice.InvoiceID;
   const invoiceNumber =
@@ -543,12 +1070,447 @@ async function createInvoiceFromPlPayload(plPayload) {
     invoiceId,
     invoiceNumber,
     reference,
+    tenantId: xeroTenantId,
+    duplicate: false,
+    contact,
+    payments,
+    email,
     invoice: createdInvoice,
     rawResponse: result.body || null,
   };
 }
 
+// -----------------------------------------------------------------------------
+// Amended orders: update or void an existing invoice
+// -----------------------------------------------------------------------------
+
+// Comparable form of a line item (ignores Xero-only fields like lineItemID)
+function lineKey(li) {
+  const tracking = (li.tracking || [])
+    .map((t) => `${t.name}=${t.option}`)
+    .sort()
+    .join(",");
+  return [
+    String(li.description || "").trim(),
+    Number(li.quantity ?? 1),
+    Number(li.unitAmount || 0).toFixed(2),
+    li.accountCode || "",
+    li.taxType || "",
+    tracking,
+  ].join("|");
+}
+
+/**
+ * Diff the lines buildLineItems produced against the invoice's current lines.
+ * Unchanged lines get their existing lineItemID so Xero keeps them as-is.
+ *
+ * @returns {{ lineItems: object[], added: object[], removed: object[], unchanged: number }}
+ */
+function diffLineItems(existingLines = [], newLines = []) {
+  const remaining = [...existingLines];
+  const added = [];
+  let unchanged = 0;
+
+  const lineItems = newLines.map((line) => {
+    const index = remaining.findIndex((old) => lineKey(old) === lineKey(line));
+    if (index === -1) {
+      added.push(line);
+      return line;
+    }
+    const [old] = remaining.splice(index, 1);
+    unchanged += 1;
+    return { ...line, lineItemID: old.lineItemID };
+  });
+
+  return { lineItems, added, removed: remaining, unchanged };
+}
+
+function isCancelled(payload) {
+  if (toBool(payload.cancelled) || toBool(payload.cancel)) return true;
+  const plStatus = String(
+    payload.pl_order?.order_status ?? payload.order_detail?.order_status ?? ""
+  )
+    .trim()
+    .toLowerCase();
+  return plStatus === "cancelled" || plStatus === "canceled";
+}
+
+/**
+ * Find the order's invoice (ledger first, then its "[order_number]" reference
+ * in Xero) and load it in full. Ledger entries know their organisation;
+ * otherwise the brand keys pick it, as for a new invoice.
+ *
+ * @returns {Promise<{ xeroTenantId: string, existing: object }>}
+ */
+async function loadExistingInvoice(orderNumber, brandKeys = []) {
+  const recorded = getInvoiceForOrder(orderNumber);
+  const xeroTenantId = await ensureXeroReadyFor({
+    tenantId: recorded?.tenantId || undefined,
+    brandKeys,
+  });
+
+  let invoiceId = recorded?.invoiceId || null;
+  if (!invoiceId) {
+    const found = await findXeroInvoiceForOrder(xero, xeroTenantId, orderNumber);
+    invoiceId = found?.invoiceID || null;
+  }
+
+  if (!invoiceId) {
+    throw new AppError(`No Xero invoice found for order ${orderNumber}`, {
+      status: 404,
+      code: "INVOICE_NOT_FOUND",
+      details: { orderNumber, tenantId: xeroTenantId },
+    });
+  }
+
+  let response;
+  try {
+    response = await xero.accountingApi.getInvoice(xeroTenantId, invoiceId);
+  } catch (err) {
+    throw toXeroAppError(err, "getInvoice");
+  }
+
+  const existing = response?.body?.invoices?.[0];
+  if (!existing?.invoiceID) {
+    throw new AppError("Xero response missing invoice", {
+      status: 502,
+      code: "XERO_BAD_RESPONSE",
+      details: response?.body || null,
+    });
+  }
+
+  return { xeroTenantId, existing };
+}
+
+// Payments or credits already applied: editing would unbalance them
+function assertInvoiceEditable(existing) {
+  if (["VOIDED", "DELETED"].includes(existing.status)) {
+    throw new AppError(
+      `Invoice ${existing.invoiceNumber} is already ${existing.status}`,
+      {
+        status: 409,
+        code: "INVOICE_NOT_EDITABLE",
+        details: { invoiceId: existing.invoiceID, status: existing.status },
+      }
+    );
+  }
+
+  const amountPaid = existing.amountPaid || 0;
+  const amountCredited = existing.amountCredited || 0;
+  if (amountPaid > 0 || amountCredited > 0 || existing.status === "PAID") {
+    throw new AppError(
+      `Invoice ${existing.invoiceNumber} has payments or credits applied; raise a credit note instead (POST /create-credit-note)`,
+      {
+        status: 409,
+        code: "INVOICE_HAS_PAYMENTS",
+        details: {
+          invoiceId: existing.invoiceID,
+          status: existing.status,
+          amountPaid,
+          amountCredited,
+        },
+      }
+    );
+  }
+}
+
+async function updateInvoiceForOrder(plPayload, orderNumber) {
+  const cancelled = isCancelled(plPayload);
+  const context = deriveContext(plPayload);
+  const { xeroTenantId, existing } = await loadExistingInvoice(
+    orderNumber,
+    brandKeysFor(context)
+  );
+
+  assertInvoiceEditable(existing);
+
+  const base = {
+    invoiceId: existing.invoiceID,
+    invoiceNumber: existing.invoiceNumber || null,
+    tenantId: xeroTenantId,
+  };
+
+  let update;
+  let action;
+  let diff = null;
+
+  if (cancelled) {
+    // Xero only allows deleting invoices that were never approved
+    const status = ["DRAFT", "SUBMITTED"].includes(existing.status)
+      ? "DELETED"
+      : "VOIDED";
+    update = { invoiceID: existing.invoiceID, status };
+    action = status === "DELETED" ? "deleted" : "voided";
+  } else {
+    const invoice = buildInvoiceModel(plPayload, context);
+    diff = diffLineItems(existing.lineItems || [], invoice.lineItems);
+
+    if (diff.added.length === 0 && diff.removed.length === 0) {
+      log.info(`Order ${orderNumber}: invoice ${existing.invoiceNumber} unchanged`);
+      return { ...base, action: "unchanged", diff: summariseDiff(diff) };
+    }
+
+    assertTaxTypesUsable(xeroTenantId, invoice.lineItems);
+    update = { invoiceID: existing.invoiceID, lineItems: diff.lineItems };
+    action = "updated";
+  }
+
+  log.info(`Order ${orderNumber}: ${action} invoice ${existing.invoiceNumber}`);
+  log.debug("updateInvoice payload", update);
+
+  let result;
+  try {
+    result = await xero.accountingApi.updateInvoice(
+      xeroTenantId,
+      existing.invoiceID,
+      { invoices: [update] },
+      2 // unitdp
+    );
+  } catch (err) {
+    throw toXeroAppError(err, "updateInvoice");
+  }
+
+  if (cancelled) {
+    markInvoiceVoided(orderNumber);
+  }
+
+  const updated = result?.body?.invoices?.[0] || null;
+  return {
+    ...base,
+    action,
+    status: updated?.status || update.status || existing.status,
+    total: updated?.total ?? null,
+    diff: diff ? summariseDiff(diff) : null,
+  };
+}
+
+function summariseDiff({ added, removed, unchanged }) {
+  const describe = (li) => ({
+    description: li.description,
+    quantity: li.quantity,
+    unitAmount: li.unitAmount,
+    taxType: li.taxType,
+  });
+  return {
+    added: added.map(describe),
+    removed: removed.map(describe),
+    unchanged,
+  };
+}
+
+/**
+ * Apply an amended PL order to its existing invoice: update the lines while
+ * nothing has been paid or credited, void (or delete, if never approved) it
+ * when the order is cancelled, and refuse with INVOICE_HAS_PAYMENTS otherwise.
+ *
+ * The order counts as cancelled when the payload has `cancelled: true` or a
+ * PL order_status of "Cancelled".
+ */
+async function updateInvoiceFromPlPayload(plPayload) {
+  const isObject =
+    plPayload && typeof plPayload === "object" && !Array.isArray(plPayload);
+  if (!isObject) {
+    throw new AppError("Invalid payload: expected object", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  const orderNumber = String(plPayload.order_number ?? "").trim();
+  if (!orderNumber) {
+    throw new AppError("Invalid payload: order_number is required", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  if (!isCancelled(plPayload)) {
+    validatePayload(plPayload);
+  }
+
+  return withOrderLock(orderNumber, () =>
+    updateInvoiceForOrder(plPayload, orderNumber)
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Later payments (e.g. the balance after a deposit)
+// -----------------------------------------------------------------------------
+
+/**
+ * Record payments against an order's existing invoice.
+ *
+ * Payload: { order_number, payments: [...] } (see validatePayments). A
+ * `balance: true` payment pays whatever Xero says is still due.
+ */
+async function recordPaymentsFromPlPayload(plPayload) {
+  const isObject =
+    plPayload && typeof plPayload === "object" && !Array.isArray(plPayload);
+  if (!isObject) {
+    throw new AppError("Invalid payload: expected object", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  const orderNumber = String(plPayload.order_number ?? "").trim();
+  if (!orderNumber) {
+    throw new AppError("Invalid payload: order_number is required", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  if (!Array.isArray(plPayload.payments) || plPayload.payments.length === 0) {
+    throw new AppError("Invalid payload: payments is required", {
+      status: 400,
+      code: "INVALID_PAYMENT",
+    });
+  }
+  validatePayments(plPayload.payments, plPayload.payment_fee);
+
+  return withOrderLock(orderNumber, async () => {
+    const context = deriveContext(plPayload);
+    const { xeroTenantId, existing } = await loadExistingInvoice(
+      orderNumber,
+      brandKeysFor(context)
+    );
+
+    if (!["AUTHORISED", "PAID"].includes(existing.status)) {
+      throw new AppError(
+        `Invoice ${existing.invoiceNumber} is ${existing.status}; payments need an AUTHORISED invoice`,
+        {
+          status: 409,
+          code: "INVOICE_NOT_PAYABLE",
+          details: { invoiceId: existing.invoiceID, status: existing.status },
+        }
+      );
+    }
+
+    const existingPayments = existing.payments || [];
+    const planned = resolvePaymentAmounts(
+      planPayments(plPayload, context),
+      existing.amountDue ?? null,
+      existingPayments
+    );
+    const payments = await applyPayments(xero, xeroTenantId, existing, planned, {
+      existingPayments,
+    });
+
+    return {
+      invoiceId: existing.invoiceID,
+      invoiceNumber: existing.invoiceNumber || null,
+      tenantId: xeroTenantId,
+      payments,
+    };
+  });
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Totals for a preview: line subtotal from the built model, estimated VAT from
+ * PL's per-item rates (when lines came from order_detail.items), and the PL
+ * order's own totals for comparison.
+ */
+function computePreviewTotals(payload, invoice) {
+  const { pl_order = {}, order_detail = {} } = payload;
+
+  const subTotal = round2(
+    (invoice.lineItems || []).reduce(
+      (sum, li) =>
+        sum + (Number(li.quantity ?? 1) || 0) * (Number(li.unitAmount) || 0),
+      0
+    )
+  );
+
+  let estimatedTax = null;
+  const items = order_detail.items;
+  const usesRequestLines =
+    Array.isArray(payload.lineItems) && payload.lineItems.length > 0;
+  if (!usesRequestLines && items && typeof items === "object") {
+    estimatedTax = round2(
+      Object.values(items).reduce((sum, item) => {
+        const price = parseFloat(item?.price || "0") || 0;
+        const rate = parseFloat(item?.vat || "0") || 0;
+        return sum + (price * rate) / 100;
+      }, 0)
+    );
+  }
+
+  const numOrNull = (v) =>
+    v === undefined || v === null || v === "" || isNaN(parseFloat(v))
+      ? null
+      : parseFloat(v);
+
+  return {
+    lineCount: (invoice.lineItems || []).length,
+    subTotal,
+    estimatedTax,
+    estimatedTotal:
+      estimatedTax === null ? null : round2(subTotal + estimatedTax),
+    pl: {
+      orderTotal: numOrNull(pl_order.order_total ?? order_detail.order_total),
+      orderVat: numOrNull(pl_order.order_vat ?? order_detail.order_vat),
+      orderTotalIncVat: numOrNull(pl_order.order_tot_incvat),
+    },
+  };
+}
+
+/**
+ * Dry run of createInvoiceFromPlPayload: validates the payload and builds
+ * everything that would be sent to Xero, without calling Xero.
+ *
+ * Xero-side lookups are not performed, so `contact` is the contact we would
+ * search for / upsert and `tenantId` is only set when a brand mapping applies.
+ */
+function previewInvoiceFromPlPayload(plPayload) {
+  validatePayload(plPayload);
+
+  const context = deriveContext(plPayload);
+  const invoice = buildInvoiceModel(plPayload, context);
+
+  const rawOrderNumber = plPayload.order_number;
+  const orderNumber =
+    rawOrderNumber !== undefined && rawOrderNumber !== null
+      ? String(rawOrderNumber).trim()
+      : "";
+
+  // Balance payments are worked out from the PL total, or our own estimate
+  const totals = computePreviewTotals(plPayload, invoice);
+  const payments = resolvePaymentAmounts(
+    planPayments(plPayload, context),
+    computePaymentAmount(plPayload) ?? totals.estimatedTotal
+  ).map((p) =>
+    p.skipped ? p : { ...p, model: buildPaymentModel(null, p).payments[0] }
+  );
+
+  const tenantId = tenantIdForBrand(brandKeysFor(context));
+  assertTaxTypesUsable(tenantId || getTenantId(), invoice.lineItems);
+
+  return {
+    context,
+    invoice,
+    contact: buildContactModel(extractContactDetails(plPayload)),
+    tenantId,
+    existingInvoice: getInvoiceForOrder(orderNumber),
+    payments,
+    emailCustomer: context.emailCustomerFlag,
+    totals,
+  };
+}
+
 module.exports = {
   AppError,
   createInvoiceFromPlPayload,
+  previewInvoiceFromPlPayload,
+  updateInvoiceFromPlPayload,
+  recordPaymentsFromPlPayload,
+  // shared with creditNoteService.js and xero-bridge.js
+  toXeroAppError,
+  xeroFailure,
+  loadExistingInvoice,
+  computePaymentAmount,
 };
@@ -0,0 +1,54 @@
+// jsonFileStore.js
+// -----------------------------------------------------------------------------
+// Tiny persisted JSON document store used for the bridge's local state
+// (order → invoice ledger, etc.).
+//
+// Writes go to a temp file first and are then renamed into place, so a crash
+// mid-write never leaves a half-written JSON file behind.
+// -----------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("jsonFileStore");
+
+/**
+ * Create a store backed by a single JSON file.
+ *
+ * @param {string} filePath - where the JSON document lives
+ * @param {function(): *} makeDefault - returns the initial document when the
+ *   file does not exist (or cannot be parsed)
+ * @returns {{ read: function(): *, write: function(*): void, filePath: string }}
+ */
+function createJsonFileStore(filePath, makeDefault = () => ({})) {
+  function read() {
+    if (!fs.existsSync(filePath)) {
+      return makeDefault();
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      log.error(`Failed to read ${filePath}, starting empty`, {
+        error: err.message || String(err),
+      });
+      return makeDefault();
+    }
+  }
+
+  function write(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { read, write, filePath };
+}
+
+module.exports = {
+  createJsonFileStore,
+};
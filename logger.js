@@ -0,0 +1,206 @@
+// logger.js
+// -----------------------------------------------------------------------------
+// Structured logger: one JSON object per line, tagged with the module name.
+//
+//   const log = createLogger("invoiceService");
+//   log.info("Created invoice", { invoiceNumber: "INV-0042" });
+//   → {"time":"…","level":"info","module":"invoiceService","msg":"Created invoice","invoiceNumber":"INV-0042"}
+//
+// LOG_LEVEL (debug | info | warn | error) drops anything below it. warn and
+// error go to stderr, the rest to stdout. LOG_FORMAT=pretty prints
+// "[module] LEVEL msg {data}" instead, for local development.
+//
+// Data is redacted before it is written: values under keys that look like
+// emails, names, addresses, phone numbers or credentials become "[REDACTED]",
+// and email addresses (and credentials in URLs) inside any other string are
+// masked. LOG_REDACT_FIELDS adds more key names (comma-separated).
+//
+// Strings are also scrubbed of credentials: "Bearer …"/"Basic …" values and
+// Authorization / token fields written out as JSON or headers. xero-node
+// rejects with a JSON string of the whole request, Authorization header
+// included, so an error logged as-is would otherwise leak the access token.
+//
+// A bare `name` is only redacted inside a contact or customer object (the
+// Xero contact's name); brand, tenant, item and check names stay readable.
+// -----------------------------------------------------------------------------
+
+const { LOG_LEVEL, LOG_FORMAT, LOG_REDACT_FIELDS } = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(LOG_LEVEL).toLowerCase()] ?? LEVELS.info;
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+// Compared against keys lowercased with "_" / "-" removed
+const REDACT_KEY_PARTS = [
+  "email",
+  "phone",
+  "mobile",
+  "address",
+  "postcode",
+  "postalcode",
+  "token",
+  "secret",
+  "password",
+  "apikey",
+  "authorization",
+  "cookie",
+  "signature",
+  "taxnumber",
+  "vatnumber",
+];
+const REDACT_KEYS = new Set([
+  "customername",
+  "contactname",
+  "ordercontact",
+  "firstname",
+  "lastname",
+  "attentionto",
+  "street",
+  "city",
+  "region",
+  "county",
+  ...String(LOG_REDACT_FIELDS || "")
+    .split(",")
+    .map((k) => k.trim().toLowerCase().replace(/[_-]/g, ""))
+    .filter(Boolean),
+]);
+
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+// Credentials in URLs, e.g. the OAuth callback's ?code=…&state=…
+const URL_PARAM_PATTERN =
+  /([?&](?:code|state|api_key|apikey|token|access_token|refresh_token)=)[^&\s"]+/gi;
+// HTTP auth values, e.g. "Authorization: Bearer eyJ…"
+const AUTH_SCHEME_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi;
+// Credential fields inside JSON text (also JSON-in-JSON, with \" quotes) or
+// header dumps: "authorization":"…", access_token: …
+const CREDENTIAL_FIELD_PATTERN =
+  /(\\?["']?(?:authorization|access_token|refresh_token|id_token|client_secret|x-api-key)\\?["']?\s*[:=]\s*\\?["']?)[^"'\\\r\n,}]+/gi;
+
+// Objects (or arrays of them) under these keys describe a person, so their
+// `name` is the person's name
+const PERSON_KEYS = new Set(["contact", "contacts", "customer", "contactpersons"]);
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[_-]/g, "");
+}
+
+function isSensitiveKey(key, parentKey) {
+  const k = normalizeKey(key);
+  if (k === "name" && parentKey && PERSON_KEYS.has(normalizeKey(parentKey))) {
+    return true;
+  }
+  return REDACT_KEYS.has(k) || REDACT_KEY_PARTS.some((part) => k.includes(part));
+}
+
+function serializeError(err) {
+  const out = {
+    type: err.name,
+    message: err.message,
+  };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (err.details !== undefined) out.details = err.details;
+  if (err.response?.body !== undefined) out.responseBody = err.response.body;
+  else if (err.response?.data !== undefined) out.responseBody = err.response.data;
+  if (MIN_LEVEL <= LEVELS.debug && err.stack) out.stack = err.stack;
+  return out;
+}
+
+/**
+ * Deep copy of `value` with sensitive fields and email addresses masked.
+ */
+function redact(value, depth = 0, seen = new WeakSet(), parentKey = null) {
+  if (typeof value === "string") {
+    return value
+      .replace(AUTH_SCHEME_PATTERN, `$1 ${REDACTED}`)
+      .replace(CREDENTIAL_FIELD_PATTERN, `$1${REDACTED}`)
+      .replace(EMAIL_PATTERN, REDACTED)
+      .replace(URL_PARAM_PATTERN, `$1${REDACTED}`);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth, seen, parentKey);
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return "[…]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((v) => redact(v, depth + 1, seen, parentKey));
+  }
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] =
+      isSensitiveKey(key, parentKey) && v !== null && v !== undefined && v !== ""
+        ? REDACTED
+        : redact(v, depth + 1, seen, key);
+  }
+  return out;
+}
+
+function write(level, module, msg, data) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  let fields = {};
+  if (data instanceof Error) {
+    fields = { err: redact(data) };
+  } else if (data !== undefined && data !== null) {
+    const redacted = redact(data);
+    fields =
+      typeof redacted === "object" && !Array.isArray(redacted)
+        ? redacted
+        : { data: redacted };
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const message = redact(String(msg));
+
+  if (String(LOG_FORMAT).toLowerCase() === "pretty") {
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : "";
+    stream.write(`[${module}] ${level.toUpperCase()} ${message}${extra}\n`);
+    return;
+  }
+
+  // Data can't overwrite the standard fields
+  const { time: _time, level: _level, module: _module, msg: _msg, ...rest } =
+    fields;
+  stream.write(
+    JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      module,
+      msg: message,
+      ...rest,
+    }) + "\n"
+  );
+}
+
+/**
+ * Logger for one module. Each method takes a message and optional data
+ * (an object of fields, or an Error).
+ *
+ * @param {string} module - tag, e.g. "invoiceService"
+ */
+function createLogger(module) {
+  return {
+    debug: (msg, data) => write("debug", module, msg, data),
+    info: (msg, data) => write("info", module, msg, data),
+    warn: (msg, data) => write("warn", module, msg, data),
+    error: (msg, data) => write("error", module, msg, data),
+    isDebugEnabled: () => MIN_LEVEL <= LEVELS.debug,
+  };
+}
+
+module.exports = {
+  createLogger,
+  redact,
+};
@@ -1,29 +1,42 @@
 // logicConfig.example.js
 // -----------------------------------------------------------------------------
 // Example logic hook. Copy to logicConfig.js if you want local overrides.
+// Declarative rules (LOGIC_RULES_PATH, see logicRules.example.json) are usually
+// enough; only replace this hook for logic the rules can't express.
 // -----------------------------------------------------------------------------
 
+const {
+  loadRules,
+  applyRules,
+  stripInternalFields,
+} = require("./rulesEngine");
+const { createLogger } = require("./logger");
+
+const log = createLogger("logicConfig");
+
+const RULES = loadRules();
+
 /**
  * Apply any server-side overrides to the PA payload.
- * For now this is a no-op (pass-through).
+ * Applies the declarative rules and otherwise passes the payload through.
  *
  * @param {object} rawPayload - body received from Power Automate
  * @returns {object} - payload (possibly modified)
  */
 function applyServerSideLogic(rawPayload) {
-  const payload = { ...(rawPayload || {}) };
+  // Underscore keys are for the rules to set, never the caller
+  const payload = stripInternalFields(rawPayload);
 
   // Example: inspect the request without mutating it.
-  console.log(
-    "[logicConfig] logicSource:",
-    payload.logicSource || null,
-    "| template:",
-    payload.template || null,
-    "| markAsPaid:",
-    payload.markAsPaid,
-    "| emailCustomer:",
-    payload.emailCustomer
-  );
+  log.info("PA decision", {
+    logicSource: payload.logicSource || null,
+    template: payload.template || null,
+    markAsPaid: payload.markAsPaid,
+    emailCustomer: payload.emailCustomer,
+  });
+
+  // Rule trace is returned to the caller as `rules` by /create-invoice
+  payload._ruleTrace = applyRules(RULES, payload);
 
   return payload;
 }
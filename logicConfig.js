@@ -2,49 +2,60 @@
 // -----------------------------------------------------------------------------
 // Node-side logic layer
 //
-// At the moment, ALL real "business logic" (who gets what template, mark-as-paid,
-// email-yes/no, etc.) is controlled in Power Automate.
+// Power Automate still decides the basics (template, mark-as-paid, email-yes/no)
+// but this hook can override them before the payload reaches invoiceService.
 //
-// This module is just a hook that lets you *optionally* tweak or inspect the
-// payload before we send it to invoiceService. Right now it simply logs and
-// returns the payload unchanged.
+// Overrides are declarative rules loaded at startup from LOGIC_RULES_PATH (see
+// rulesEngine.js and logicRules.example.json). With no rules file the payload
+// passes through unchanged.
 // -----------------------------------------------------------------------------
 
+const {
+  loadRules,
+  applyRules,
+  stripInternalFields,
+} = require("./rulesEngine");
+const { createLogger } = require("./logger");
+
+const log = createLogger("logicConfig");
+
+// Loaded once at startup; an invalid rules file throws here
+const RULES = loadRules();
+
 /**
  * Apply any server-side overrides to the PA payload.
- * For now this is a no-op (pass-through).
+ *
+ * The evaluation trace (which rules matched and what they changed) is logged
+ * and attached to the returned payload as `_ruleTrace`.
  *
  * @param {object} rawPayload - body received from Power Automate
  * @returns {object} - payload (possibly modified)
  */
 function applyServerSideLogic(rawPayload) {
-  const payload = { ...(rawPayload || {}) };
+  // Underscore keys are for the rules to set, never the caller
+  const payload = stripInternalFields(rawPayload);
 
   // Light logging so you can see what PA decided
-  console.log(
-    "[logicConfig] logicSource:",
-    payload.logicSource || null,
-    "| template:",
-    payload.template || null,
-    "| markAsPaid:",
-    payload.markAsPaid,
-    "| emailCustomer:",
-    payload.emailCustomer
-  );
-
-  // EXAMPLES of what you *could* do here later:
-  //
-  // 1) Block test orders from going to Xero:
-  // if (payload.order_desc && payload.order_desc.toLowerCase().includes("test")) {
-  //   payload._skipXero = true;
-  // }
-  //
-  // 2) Override template for a special customer:
-  // if (payload.customer_name === "Very Special Client Ltd") {
-  //   payload.template = "SDK_Group";
-  // }
-  //
-  // For now we don't change anything – PA is the source of truth.
+  log.info("PA decision", {
+    logicSource: payload.logicSource || null,
+    template: payload.template || null,
+    markAsPaid: payload.markAsPaid,
+    emailCustomer: payload.emailCustomer,
+  });
+
+  const trace = applyRules(RULES, payload);
+  payload._ruleTrace = trace;
+
+  const fired = trace.filter((t) => t.matched);
+  if (fired.length > 0) {
+    log.info("Rules fired", {
+      rules: fired.map((t) => ({ rule: t.rule, applied: t.applied })),
+    });
+  }
+  if (trace.length > 0) {
+    log.debug("Rule trace", { trace });
+  }
+
   return payload;
 }
 
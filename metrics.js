@@ -0,0 +1,201 @@
+// metrics.js
+// -----------------------------------------------------------------------------
+// In-process counters and histograms, exposed by GET /metrics in the
+// Prometheus text format (version 0.0.4).
+//
+// Metrics are defined here, one place for every name, and incremented by the
+// modules that do the work:
+//
+//   pl_xero_invoices_created_total{brand}
+//   pl_xero_invoices_failed_total{code,brand}          code = AppError code
+//   pl_xero_webhook_events_total{outcome}               paid, not_paid, ignored,
+//                                                       duplicate, retry, failed…
+//   pl_xero_pl_writebacks_total{action,result}          success | failure
+//   pl_xero_token_refreshes_total{result}               success | failure
+//   pl_xero_xero_request_duration_seconds{call,status}  histogram
+//   pl_xero_printlogic_request_duration_seconds{action,status}  histogram
+//
+// Values live in memory and start from zero on every restart, which
+// Prometheus handles (counter resets).
+// -----------------------------------------------------------------------------
+
+const PREFIX = "pl_xero_";
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; Xero and PL calls usually take 0.2–2s, with timeouts at 10–30s
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+// Labels in the metric's declared order, missing ones as "unknown"
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    const value = labels[name];
+    picked[name] =
+      value === undefined || value === null || value === "" ? "unknown" : value;
+  }
+  return picked;
+}
+
+/**
+ * A counter with the given label names.
+ *
+ * @returns {{ inc: function(object=, number=): void }}
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map(); // formatted labels → value
+
+  function inc(labels, value = 1) {
+    const key = formatLabels(pickLabels(labelNames, labels));
+    series.set(key, (series.get(key) || 0) + value);
+  }
+
+  function render() {
+    const metric = `${PREFIX}${name}`;
+    const lines = [`# HELP ${metric} ${help}`, `# TYPE ${metric} counter`];
+    for (const [labels, value] of series) {
+      lines.push(`${metric}${labels} ${value}`);
+    }
+    return lines;
+  }
+
+  registry.push(render);
+  return { inc };
+}
+
+/**
+ * A histogram (cumulative buckets, sum and count) with the given label names.
+ * startTimer(labels) returns a function that records the elapsed seconds;
+ * labels passed to it are added to (or override) the starting ones.
+ *
+ * @returns {{ observe: function(object, number): void,
+ *             startTimer: function(object=): function(object=): void }}
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // formatted labels → { labels, counts, sum, count }
+
+  function observe(labels, seconds) {
+    const picked = pickLabels(labelNames, labels);
+    const key = formatLabels(picked);
+    if (!series.has(key)) {
+      series.set(key, {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+
+    const entry = series.get(key);
+    buckets.forEach((le, i) => {
+      if (seconds <= le) entry.counts[i] += 1;
+    });
+    entry.sum += seconds;
+    entry.count += 1;
+  }
+
+  function startTimer(startLabels = {}) {
+    const started = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      observe({ ...startLabels, ...endLabels }, seconds);
+    };
+  }
+
+  function render() {
+    const metric = `${PREFIX}${name}`;
+    const lines = [`# HELP ${metric} ${help}`, `# TYPE ${metric} histogram`];
+    for (const { labels, counts, sum, count } of series.values()) {
+      buckets.forEach((le, i) => {
+        lines.push(`${metric}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${metric}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${metric}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+
+  registry.push(render);
+  return { observe, startTimer };
+}
+
+// ---------- the bridge's metrics ----------
+
+const invoicesCreated = createCounter(
+  "invoices_created_total",
+  "Invoices created in Xero.",
+  ["brand"]
+);
+
+const invoicesFailed = createCounter(
+  "invoices_failed_total",
+  "Invoice creations that failed, by error code.",
+  ["code", "brand"]
+);
+
+const webhookEvents = createCounter(
+  "webhook_events_total",
+  "Xero webhook events by outcome (duplicates, processing results, retries).",
+  ["outcome"]
+);
+
+const plWritebacks = createCounter(
+  "pl_writebacks_total",
+  "PrintLogic writeback attempts from the outbox.",
+  ["action", "result"]
+);
+
+const tokenRefreshes = createCounter(
+  "token_refreshes_total",
+  "Xero access token refreshes.",
+  ["result"]
+);
+
+const xeroRequestDuration = createHistogram(
+  "xero_request_duration_seconds",
+  "Xero accounting API call latency (one attempt, excluding rate-limit waits).",
+  ["call", "status"]
+);
+
+const printlogicRequestDuration = createHistogram(
+  "printlogic_request_duration_seconds",
+  "PrintLogic API call latency.",
+  ["action", "status"]
+);
+
+/**
+ * Everything in the Prometheus text format.
+ */
+function renderMetrics() {
+  return `${registry.flatMap((render) => render()).join("\n")}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createCounter,
+  createHistogram,
+  renderMetrics,
+  invoicesCreated,
+  invoicesFailed,
+  webhookEvents,
+  plWritebacks,
+  tokenRefreshes,
+  xeroRequestDuration,
+  printlogicRequestDuration,
+};
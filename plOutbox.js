@@ -0,0 +1,279 @@
+// plOutbox.js
+// -----------------------------------------------------------------------------
+// Durable outbox for PrintLogic writebacks.
+//
+// Every PL action (order status update, invoice / credit note reference
+// writeback) is first recorded on disk, then attempted. Failed attempts are
+// retried by a background worker with exponential backoff, and entries survive
+// bridge restarts. Once an entry runs out of attempts it is marked "failed" and
+// waits for an admin to retry or discard it.
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const {
+  PL_OUTBOX_PATH,
+  PL_OUTBOX_MAX_ATTEMPTS,
+  PL_OUTBOX_BASE_DELAY_MS,
+  PL_OUTBOX_MAX_DELAY_MS,
+  PL_OUTBOX_POLL_MS,
+} = require("./config");
+const { createJsonFileStore } = require("./jsonFileStore");
+const { createLogger } = require("./logger");
+const { plWritebacks } = require("./metrics");
+const {
+  updatePrintlogicOrderStatus,
+  updatePrintlogicOrderInvoiceRef,
+  updatePrintlogicOrderCreditNoteRef,
+} = require("./printlogicClient");
+
+const log = createLogger("plOutbox");
+
+const store = createJsonFileStore(PL_OUTBOX_PATH, () => ({ entries: [] }));
+
+// Outbox action → function performing it against PrintLogic
+const HANDLERS = {
+  order_status: ({ orderNumber, status }) =>
+    updatePrintlogicOrderStatus(orderNumber, status),
+  invoice_ref: ({ orderNumber, invoiceNumber, invoiceId }) =>
+    updatePrintlogicOrderInvoiceRef(orderNumber, invoiceNumber, invoiceId),
+  credit_note_ref: ({ orderNumber, creditNoteNumber, creditNoteId }) =>
+    updatePrintlogicOrderCreditNoteRef(orderNumber, creditNoteNumber, creditNoteId),
+};
+
+// Entry IDs currently being attempted (inline or by the worker)
+const inFlight = new Set();
+
+let pollTimer = null;
+let draining = false;
+
+// ---------- persistence ----------
+
+function readEntries() {
+  const data = store.read();
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+function writeEntries(entries) {
+  store.write({ entries });
+}
+
+function getEntry(id) {
+  return readEntries().find((e) => e.id === id) || null;
+}
+
+function updateEntry(id, patch) {
+  const entries = readEntries();
+  const idx = entries.findIndex((e) => e.id === id);
+  if (idx === -1) return null;
+
+  entries[idx] = {
+    ...entries[idx],
+    ...patch,
+    updatedAt: new Date().toISOString(),
+  };
+  writeEntries(entries);
+  return entries[idx];
+}
+
+function removeEntry(id) {
+  const entries = readEntries();
+  const idx = entries.findIndex((e) => e.id === id);
+  if (idx === -1) return null;
+
+  const [removed] = entries.splice(idx, 1);
+  writeEntries(entries);
+  return removed;
+}
+
+function backoffDelayMs(attempts) {
+  const delay = PL_OUTBOX_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, PL_OUTBOX_MAX_DELAY_MS);
+}
+
+function describeError(err) {
+  const body = err?.response?.data || err?.response?.body;
+  if (body) {
+    return typeof body === "string" ? body : JSON.stringify(body);
+  }
+  return err?.message || String(err);
+}
+
+// ---------- attempts ----------
+
+/**
+ * Attempt a single outbox entry now. On success the entry is removed; on
+ * failure it is rescheduled (or marked "failed" when out of attempts).
+ *
+ * @returns {Promise<{ ok: boolean, entry: object|null, result?: *, error?: string }>}
+ */
+async function attemptEntry(id) {
+  if (inFlight.has(id)) {
+    return { ok: false, entry: getEntry(id), error: "Attempt already in progress" };
+  }
+
+  const entry = getEntry(id);
+  if (!entry) {
+    return { ok: false, entry: null, error: "Outbox entry not found" };
+  }
+
+  const handler = HANDLERS[entry.action];
+  if (!handler) {
+    const failed = updateEntry(id, {
+      status: "failed",
+      lastError: `Unknown outbox action: ${entry.action}`,
+    });
+    return { ok: false, entry: failed, error: failed.lastError };
+  }
+
+  inFlight.add(id);
+  const attempts = (entry.attempts || 0) + 1;
+
+  try {
+    const result = await handler(entry.args || {});
+    removeEntry(id);
+    plWritebacks.inc({ action: entry.action, result: "success" });
+    log.info(`${entry.action} for order ${entry.args?.orderNumber} succeeded`, {
+      attempt: attempts,
+    });
+    return { ok: true, entry: { ...entry, attempts, status: "done" }, result };
+  } catch (err) {
+    const lastError = describeError(err);
+    const exhausted = attempts >= PL_OUTBOX_MAX_ATTEMPTS;
+    plWritebacks.inc({ action: entry.action, result: "failure" });
+    const updated = updateEntry(id, {
+      attempts,
+      lastError,
+      status: exhausted ? "failed" : "pending",
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + backoffDelayMs(attempts)).toISOString(),
+    });
+
+    log.warn(
+      `${entry.action} for order ${entry.args?.orderNumber} failed${
+        exhausted ? ", giving up" : ""
+      }`,
+      { attempt: attempts, maxAttempts: PL_OUTBOX_MAX_ATTEMPTS, error: lastError }
+    );
+    return { ok: false, entry: updated, error: lastError };
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Record a PL action in the outbox. The entry is on disk when this returns;
+ * call attemptPlAction(entry.id) to try it straight away, otherwise the worker
+ * picks it up on its next poll.
+ *
+ * @param {"order_status"|"invoice_ref"} action
+ * @param {object} args - arguments for the action (always includes orderNumber)
+ * @param {{ source?: string }} [opts]
+ * @returns {object} the new outbox entry
+ */
+function enqueuePlAction(action, args, { source } = {}) {
+  if (!HANDLERS[action]) {
+    throw new Error(`Unknown outbox action: ${action}`);
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    action,
+    args,
+    source: source || null,
+    status: "pending",
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const entries = readEntries();
+  entries.push(entry);
+  writeEntries(entries);
+
+  return entry;
+}
+
+/**
+ * Attempt every pending entry whose nextAttemptAt has passed.
+ */
+async function drainOutbox() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    const now = Date.now();
+    const due = readEntries().filter(
+      (e) =>
+        e.status === "pending" &&
+        !inFlight.has(e.id) &&
+        (!e.nextAttemptAt || Date.parse(e.nextAttemptAt) <= now)
+    );
+
+    for (const entry of due) {
+      await attemptEntry(entry.id);
+    }
+  } catch (err) {
+    log.error("Error draining outbox", err);
+  } finally {
+    draining = false;
+  }
+}
+
+function startOutboxWorker() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(drainOutbox, PL_OUTBOX_POLL_MS);
+  pollTimer.unref();
+
+  const pending = readEntries().filter((e) => e.status === "pending").length;
+  log.info("Worker started", { pollMs: PL_OUTBOX_POLL_MS, pending });
+
+  // Pick up anything left over from before a restart
+  drainOutbox();
+}
+
+// ---------- admin ----------
+
+function listOutboxEntries({ status } = {}) {
+  const entries = readEntries();
+  return status ? entries.filter((e) => e.status === status) : entries;
+}
+
+/**
+ * Reset an entry (including a "failed" one) and attempt it immediately.
+ */
+async function retryOutboxEntry(id) {
+  const entry = updateEntry(id, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  });
+  if (!entry) return null;
+
+  return attemptEntry(id);
+}
+
+function discardOutboxEntry(id) {
+  const removed = removeEntry(id);
+  if (removed) {
+    log.warn(`Discarded ${removed.action} for order ${removed.args?.orderNumber}`, {
+      id,
+    });
+  }
+  return removed;
+}
+
+module.exports = {
+  enqueuePlAction,
+  attemptPlAction: attemptEntry,
+  drainOutbox,
+  startOutboxWorker,
+  listOutboxEntries,
+  retryOutboxEntry,
+  discardOutboxEntry,
+};
@@ -0,0 +1,238 @@
+// printlogicClient.js
+// -----------------------------------------------------------------------------
+// Thin wrapper around the PrintLogic API (PL_API_URL / PL_API_KEY).
+// -----------------------------------------------------------------------------
+
+const axios = require("axios");
+
+const { PL_API_URL, PL_API_KEY } = require("./config");
+const { createLogger } = require("./logger");
+const { printlogicRequestDuration } = require("./metrics");
+
+const log = createLogger("printlogic");
+
+/**
+ * POST one action to the PL API, timed for /metrics by action and HTTP
+ * status. Checking the response body is up to the caller.
+ */
+async function postToPrintlogic(payload, { timeout = 10000 } = {}) {
+  const end = printlogicRequestDuration.startTimer({ action: payload.action });
+  try {
+    const resp = await axios.post(PL_API_URL, payload, {
+      params: { api_key: PL_API_KEY },
+      headers: { "Content-Type": "application/json" },
+      timeout,
+    });
+    end({ status: resp.status });
+    return resp;
+  } catch (err) {
+    end({ status: err.response?.status || err.code || "error" });
+    throw err;
+  }
+}
+
+/**
+ * Push an order status update back into PrintLogic.
+ * Expects PL to respond with { result: "ok" } or { status: "ok" } on success.
+ */
+async function updatePrintlogicOrderStatus(orderNumber, status) {
+  if (!PL_API_URL || !PL_API_KEY) {
+    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
+  }
+
+  const payload = {
+    action: "update_order_status",
+    order_number: String(orderNumber),
+    status, // must exactly match PL status text e.g. "Pre-Press"
+  };
+
+  log.info("update_order_status", payload);
+
+  const resp = await postToPrintlogic(payload);
+
+  log.debug("update_order_status response", { response: resp.data });
+
+  const data = resp.data || {};
+
+  // Accept either result:"ok" or status:"ok"
+  const result = data.result ?? data.status;
+
+  if (result !== "ok") {
+    throw new Error(
+      `PrintLogic update_order_status failed: ${JSON.stringify(data)}`
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Push Xero invoice reference back into PrintLogic.
+ * Expects PL to respond with { result: "ok" } or { status: "ok" } on success.
+ */
+async function updatePrintlogicOrderInvoiceRef(
+  orderNumber,
+  invoiceNumber,
+  invoiceId
+) {
+  const action = (process.env.PL_INVOICE_REF_ACTION || "").trim();
+  if (!action) {
+    return null;
+  }
+
+  if (!PL_API_URL || !PL_API_KEY) {
+    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
+  }
+
+  const fieldNumber =
+    process.env.PL_INVOICE_REF_FIELD_NUMBER || "xero_invoice_number";
+  const fieldId = process.env.PL_INVOICE_REF_FIELD_ID || "xero_invoice_id";
+
+  const payload = {
+    action,
+    order_number: String(orderNumber),
+    [fieldNumber]: String(invoiceNumber),
+  };
+
+  if (invoiceId !== undefined && invoiceId !== null) {
+    payload[fieldId] = String(invoiceId);
+  }
+
+  log.info("Invoice ref update", payload);
+
+  const resp = await postToPrintlogic(payload);
+
+  const data = resp.data || {};
+  const result = data.result ?? data.status;
+
+  if (result !== "ok") {
+    throw new Error(
+      `PrintLogic ${action} failed: ${JSON.stringify(data)}`
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Push a Xero credit note reference back into PrintLogic.
+ * No-op unless PL_CREDIT_NOTE_REF_ACTION is set.
+ */
+async function updatePrintlogicOrderCreditNoteRef(
+  orderNumber,
+  creditNoteNumber,
+  creditNoteId
+) {
+  const action = (process.env.PL_CREDIT_NOTE_REF_ACTION || "").trim();
+  if (!action) {
+    return null;
+  }
+
+  if (!PL_API_URL || !PL_API_KEY) {
+    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
+  }
+
+  const fieldNumber =
+    process.env.PL_CREDIT_NOTE_REF_FIELD_NUMBER || "xero_credit_note_number";
+  const fieldId =
+    process.env.PL_CREDIT_NOTE_REF_FIELD_ID || "xero_credit_note_id";
+
+  const payload = {
+    action,
+    order_number: String(orderNumber),
+    [fieldNumber]: String(creditNoteNumber),
+  };
+
+  if (creditNoteId !== undefined && creditNoteId !== null) {
+    payload[fieldId] = String(creditNoteId);
+  }
+
+  log.info("Credit note ref update", payload);
+
+  const resp = await postToPrintlogic(payload);
+
+  const data = resp.data || {};
+  const result = data.result ?? data.status;
+
+  if (result !== "ok") {
+    throw new Error(
+      `PrintLogic ${action} failed: ${JSON.stringify(data)}`
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Fetch PrintLogic orders placed between two dates (YYYY-MM-DD, inclusive).
+ * The action name is PL_ORDERS_ACTION (default "get_orders"); the orders may
+ * come back as an array or keyed by order number, under `orders`, `data` or
+ * at the top level.
+ */
+async function fetchPrintlogicOrders({ from, to }) {
+  if (!PL_API_URL || !PL_API_KEY) {
+    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
+  }
+
+  const action = (process.env.PL_ORDERS_ACTION || "get_orders").trim();
+  const payload = { action, date_from: from, date_to: to };
+
+  log.info("Fetching orders", payload);
+
+  const resp = await postToPrintlogic(payload, { timeout: 30000 });
+
+  const data = resp.data || {};
+  const result = data.result ?? data.status;
+  if (result !== undefined && result !== "ok") {
+    throw new Error(`PrintLogic ${action} failed: ${JSON.stringify(data)}`);
+  }
+
+  const list = data.orders ?? data.data ?? data;
+  const orders = Array.isArray(list)
+    ? list
+    : Object.entries(list || {})
+        .filter(([, v]) => v && typeof v === "object" && !Array.isArray(v))
+        .map(([key, v]) => ({ order_number: key, ...v }));
+
+  log.info(`${action} returned ${orders.length} order(s)`);
+  return orders;
+}
+
+/**
+ * Cheap read against PrintLogic to check the API is reachable and accepts
+ * our key: PL_HEALTH_ACTION (default PL_ORDERS_ACTION, i.e. "get_orders")
+ * for today's orders only. Throws on any failure.
+ */
+async function pingPrintlogic({ timeout = 5000 } = {}) {
+  if (!PL_API_URL || !PL_API_KEY) {
+    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
+  }
+
+  const action = (
+    process.env.PL_HEALTH_ACTION ||
+    process.env.PL_ORDERS_ACTION ||
+    "get_orders"
+  ).trim();
+  const today = new Date().toISOString().slice(0, 10);
+
+  const resp = await postToPrintlogic(
+    { action, date_from: today, date_to: today },
+    { timeout }
+  );
+
+  const data = resp.data || {};
+  const result = data.result ?? data.status;
+  if (result !== undefined && result !== "ok") {
+    throw new Error(`PrintLogic ${action} failed: ${JSON.stringify(data)}`);
+  }
+
+  return { action };
+}
+
+module.exports = {
+  fetchPrintlogicOrders,
+  pingPrintlogic,
+  updatePrintlogicOrderStatus,
+  updatePrintlogicOrderInvoiceRef,
+  updatePrintlogicOrderCreditNoteRef,
+};
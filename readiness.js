@@ -0,0 +1,298 @@
+// readiness.js
+// -----------------------------------------------------------------------------
+// Readiness checks behind GET /health/ready. Unlike /health (the process is
+// up), this answers "can the bridge actually do its job right now":
+//
+//   config      required settings present (critical); recommended ones warn
+//   xeroToken   a token is stored and can still be refreshed (critical)
+//   xeroTenants at least one org connected, and every configured tenant
+//               (XERO_TENANT_ID, XERO_TENANTS_BY_BRAND) among them (critical)
+//   printlogic  a cheap read against the PL API succeeds (critical)
+//   plOutbox,   pending / failed backlog sizes; failed entries or more than
+//   webhookQueue  READINESS_BACKLOG_WARN pending ones warn
+//
+// Each check reports { status: "ok" | "warn" | "fail", critical, ... } and is
+// cut off after READINESS_TIMEOUT_MS. Results are reused for a few seconds so
+// a busy monitor doesn't turn into a stream of Xero/PL calls.
+//
+// The full report names tenants, config keys and upstream errors, so it is
+// only for admins (GET /admin/readiness); the open /health/ready gets
+// summarizeReadiness's per-component statuses.
+// -----------------------------------------------------------------------------
+
+const {
+  XERO_CLIENT_ID,
+  XERO_CLIENT_SECRET,
+  XERO_REDIRECT_URI,
+  XERO_WEBHOOK_KEY,
+  TOKEN_ENCRYPTION_KEY,
+  PL_API_URL,
+  PL_API_KEY,
+  READINESS_TIMEOUT_MS,
+  READINESS_BACKLOG_WARN,
+} = require("./config");
+const { createLogger } = require("./logger");
+const { getConnectionStatus, getConnectedTenants } = require("./xeroClient");
+const { validateTenants } = require("./tenantRegistry");
+const { pingPrintlogic } = require("./printlogicClient");
+const { listOutboxEntries } = require("./plOutbox");
+const { listWebhookEvents } = require("./webhookQueue");
+
+const log = createLogger("readiness");
+
+// Reuse a finished run for this long
+const CACHE_MS = 10000;
+
+const REQUIRED_CONFIG = {
+  XERO_CLIENT_ID,
+  XERO_CLIENT_SECRET,
+  XERO_REDIRECT_URI,
+  PL_API_URL,
+  PL_API_KEY,
+};
+
+const RECOMMENDED_CONFIG = {
+  XERO_WEBHOOK_KEY,
+  TOKEN_ENCRYPTION_KEY,
+};
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${label} check timed out after ${ms}ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function missingKeys(values) {
+  return Object.entries(values)
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+}
+
+// ---------- checks ----------
+
+function checkConfig() {
+  const missing = missingKeys(REQUIRED_CONFIG);
+  const recommended = missingKeys(RECOMMENDED_CONFIG);
+
+  if (missing.length > 0) {
+    return {
+      status: "fail",
+      message: `Missing required config: ${missing.join(", ")}`,
+      missing,
+      recommended,
+    };
+  }
+  return {
+    status: recommended.length > 0 ? "warn" : "ok",
+    message:
+      recommended.length > 0
+        ? `Recommended config not set: ${recommended.join(", ")}`
+        : undefined,
+    missing,
+    recommended,
+  };
+}
+
+// getConnectionStatus makes sure the token is fresh (refreshing it if due)
+// and the tenant list loaded, so one call covers the token and tenant checks
+async function checkXero() {
+  const connection = await getConnectionStatus();
+  const { token } = connection;
+
+  let xeroToken;
+  if (!token.present) {
+    xeroToken = {
+      status: "fail",
+      message: "No Xero token stored. Connect Xero via /xero/auth-url.",
+    };
+  } else if (token.refreshExpired) {
+    xeroToken = {
+      status: "fail",
+      message: "The Xero refresh token has expired. Reconnect Xero via /xero/auth-url.",
+    };
+  } else if (token.accessExpired) {
+    // ensureXeroReady would have refreshed it, so the refresh failed
+    xeroToken = {
+      status: "fail",
+      message: connection.error || "The Xero access token could not be refreshed",
+    };
+  } else {
+    xeroToken = { status: "ok" };
+  }
+  xeroToken.accessExpiresAt = token.accessExpiresAt;
+  xeroToken.refreshExpiresAt = token.refreshExpiresAt;
+
+  const connections = getConnectedTenants();
+  const registry = validateTenants(connections, { quiet: true });
+  const notConnected = registry.entries
+    .filter((e) => !e.connected)
+    .map((e) => ({ brand: e.brand, tenantId: e.tenantId }));
+
+  let xeroTenants;
+  if (connections.length === 0) {
+    xeroTenants = {
+      status: "fail",
+      message: token.present
+        ? connection.error || "No Xero organisations connected"
+        : "No Xero token, so no organisations",
+    };
+  } else if (notConnected.length > 0) {
+    xeroTenants = {
+      status: "fail",
+      message: "Configured Xero tenant(s) not connected",
+      notConnected,
+    };
+  } else {
+    xeroTenants = { status: "ok" };
+  }
+  xeroTenants.connected = connections.length;
+  xeroTenants.defaultTenantId = registry.defaultTenantId;
+
+  return { xeroToken, xeroTenants };
+}
+
+async function checkPrintlogic() {
+  const { action } = await pingPrintlogic({ timeout: READINESS_TIMEOUT_MS });
+  return { status: "ok", action };
+}
+
+function backlogCheck(records) {
+  const pending = records.filter((r) => r.status === "pending");
+  const failed = records.filter((r) => r.status === "failed").length;
+  const oldestPendingAt =
+    pending
+      .map((r) => r.createdAt || r.receivedAt)
+      .filter(Boolean)
+      .sort()[0] || null;
+
+  const problems = [];
+  if (failed > 0) problems.push(`${failed} failed`);
+  if (pending.length >= READINESS_BACKLOG_WARN) {
+    problems.push(`${pending.length} pending`);
+  }
+
+  return {
+    status: problems.length > 0 ? "warn" : "ok",
+    message: problems.length > 0 ? problems.join(", ") : undefined,
+    pending: pending.length,
+    failed,
+    oldestPendingAt,
+  };
+}
+
+// ---------- running them ----------
+
+// Run one check, turning a throw or a timeout into a "fail"
+async function runCheck(label, critical, fn) {
+  const started = Date.now();
+  let result;
+  try {
+    result = await withTimeout(
+      Promise.resolve().then(fn),
+      READINESS_TIMEOUT_MS,
+      label
+    );
+  } catch (err) {
+    result = { status: "fail", message: err.message || String(err) };
+  }
+  return { durationMs: Date.now() - started, result, critical };
+}
+
+function finish(check) {
+  return { ...check.result, critical: check.critical, durationMs: check.durationMs };
+}
+
+async function runChecks() {
+  const [config, xero, printlogic, plOutbox, webhookQueue] = await Promise.all([
+    runCheck("config", true, checkConfig),
+    runCheck("xero", true, checkXero),
+    runCheck("printlogic", true, checkPrintlogic),
+    runCheck("plOutbox", false, () => backlogCheck(listOutboxEntries())),
+    runCheck("webhookQueue", false, () => backlogCheck(listWebhookEvents())),
+  ]);
+
+  // checkXero yields two components; if it failed as a whole, both fail
+  const xeroParts =
+    xero.result.xeroToken !== undefined
+      ? xero.result
+      : { xeroToken: xero.result, xeroTenants: xero.result };
+
+  const checks = {
+    config: finish(config),
+    xeroToken: finish({ ...xero, result: xeroParts.xeroToken }),
+    xeroTenants: finish({ ...xero, result: xeroParts.xeroTenants }),
+    printlogic: finish(printlogic),
+    plOutbox: finish(plOutbox),
+    webhookQueue: finish(webhookQueue),
+  };
+
+  const values = Object.values(checks);
+  const criticalFailure = values.some((c) => c.critical && c.status === "fail");
+  const degraded = values.some((c) => c.status !== "ok");
+
+  const report = {
+    ok: !criticalFailure,
+    status: criticalFailure ? "not_ready" : degraded ? "degraded" : "ready",
+    time: new Date().toISOString(),
+    checks,
+  };
+
+  if (criticalFailure) {
+    const failing = Object.entries(checks)
+      .filter(([, c]) => c.critical && c.status === "fail")
+      .map(([check, c]) => ({ check, message: c.message }));
+    log.warn("Not ready", { failing });
+  }
+
+  return report;
+}
+
+let lastReport = null;
+let lastReportAt = 0;
+let inFlight = null;
+
+/**
+ * Run (or reuse, for up to CACHE_MS) the readiness checks.
+ *
+ * @returns {Promise<{ ok: boolean, status: string, time: string, checks: object }>}
+ *   ok is false when a critical check failed
+ */
+function getReadiness() {
+  if (lastReport && Date.now() - lastReportAt < CACHE_MS) {
+    return Promise.resolve(lastReport);
+  }
+  if (!inFlight) {
+    inFlight = runChecks()
+      .then((report) => {
+        lastReport = report;
+        lastReportAt = Date.now();
+        return report;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+  return inFlight;
+}
+
+/**
+ * The report without details, for unauthenticated callers: overall status
+ * and each component's status.
+ */
+function summarizeReadiness(report) {
+  const checks = {};
+  for (const [check, result] of Object.entries(report.checks || {})) {
+    checks[check] = { status: result.status, critical: result.critical };
+  }
+  return { ok: report.ok, status: report.status, time: report.time, checks };
+}
+
+module.exports = {
+  getReadiness,
+  summarizeReadiness,
+};
@@ -0,0 +1,326 @@
+// reconciliation.js
+// -----------------------------------------------------------------------------
+// PrintLogic ↔ Xero reconciliation report (GET /reports/reconciliation).
+//
+// Orders placed in the date range are fetched from PrintLogic, and ACCREC
+// invoices from every connected Xero organisation. Invoices are matched to
+// orders on the "[order_number]" in their reference. Because an order is
+// often invoiced a while after it was placed, invoices are fetched up to
+// INVOICE_LAG_DAYS past the end of the range.
+//
+// Mismatch categories:
+//   not_invoiced             PL order with no invoice (cancelled orders aside)
+//   total_mismatch           invoice total differs from the PL total inc VAT
+//   paid_status_not_updated  invoice PAID but PL still awaiting payment
+//   duplicate_invoices       more than one invoice for the same order
+// -----------------------------------------------------------------------------
+
+const { AppError } = require("./errors");
+const { xero, ensureXeroReady, getConnectedTenants } = require("./xeroClient");
+const { extractOrderNumberFromReference } = require("./invoiceHelpers");
+const { fetchPrintlogicOrders } = require("./printlogicClient");
+const { toXeroAppError, computePaymentAmount } = require("./invoiceService");
+const { createLogger } = require("./logger");
+
+const log = createLogger("reconciliation");
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INVOICE_LAG_DAYS = 30;
+const MAX_RANGE_DAYS = 92;
+const PAGE_SIZE = 100;
+const TOTAL_TOLERANCE = 0.01;
+
+const CATEGORIES = [
+  "not_invoiced",
+  "total_mismatch",
+  "paid_status_not_updated",
+  "duplicate_invoices",
+];
+
+function statusList(raw, fallback) {
+  return String(raw || fallback)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function xeroDate(iso) {
+  const [y, m, d] = iso.split("-");
+  return `DateTime(${y}, ${m}, ${d})`;
+}
+
+/**
+ * Check / default the from-to range (YYYY-MM-DD). Defaults to the last 7 days.
+ */
+function resolveRange({ from, to } = {}) {
+  const toIso = to || isoDay(new Date());
+  const fromIso = from || isoDay(new Date(Date.parse(toIso) - 7 * DAY_MS));
+
+  for (const [name, value] of [
+    ["from", fromIso],
+    ["to", toIso],
+  ]) {
+    if (!ISO_DATE.test(value) || isNaN(Date.parse(value))) {
+      throw new AppError(`Invalid ${name}: expected YYYY-MM-DD`, {
+        status: 400,
+        code: "BAD_REQUEST",
+      });
+    }
+  }
+
+  const days = (Date.parse(toIso) - Date.parse(fromIso)) / DAY_MS;
+  if (days < 0) {
+    throw new AppError("Invalid range: from is after to", {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw new AppError(`Invalid range: at most ${MAX_RANGE_DAYS} days`, {
+      status: 400,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  return { from: fromIso, to: toIso };
+}
+
+/**
+ * Every ACCREC invoice dated in [from, to + INVOICE_LAG_DAYS] for one tenant
+ * that carries an order number in its reference.
+ */
+async function fetchXeroInvoices(tenantId, { from, to }) {
+  const until = isoDay(new Date(Date.parse(to) + INVOICE_LAG_DAYS * DAY_MS));
+  const where = `Type=="ACCREC" AND Date >= ${xeroDate(from)} AND Date <= ${xeroDate(until)}`;
+  const statuses = ["DRAFT", "SUBMITTED", "AUTHORISED", "PAID"];
+
+  const invoices = [];
+  for (let page = 1; ; page += 1) {
+    let response;
+    try {
+      response = await xero.accountingApi.getInvoices(
+        tenantId,
+        undefined, // ifModifiedSince
+        where,
+        "Date ASC",
+        undefined, // iDs
+        undefined, // invoiceNumbers
+        undefined, // contactIDs
+        statuses,
+        page,
+        false, // includeArchived
+        undefined, // createdByMyApp
+        2, // unitdp
+        true, // summaryOnly
+        PAGE_SIZE
+      );
+    } catch (err) {
+      throw toXeroAppError(err, "getInvoices (reconciliation)");
+    }
+
+    const batch = response?.body?.invoices || [];
+    invoices.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+  }
+
+  return invoices
+    .map((inv) => ({
+      orderNumber: extractOrderNumberFromReference(inv.reference),
+      tenantId,
+      invoiceId: inv.invoiceID,
+      invoiceNumber: inv.invoiceNumber || null,
+      reference: inv.reference || null,
+      status: inv.status,
+      date: inv.date || null,
+      total: inv.total ?? null,
+      amountPaid: inv.amountPaid ?? null,
+    }))
+    .filter((inv) => inv.orderNumber);
+}
+
+function plOrderSummary(order) {
+  return {
+    orderNumber: String(order.order_number ?? "").trim(),
+    orderDate: order.order_date || order.order_date_created || null,
+    plStatus: order.order_status || order.status || null,
+    plTotal: computePaymentAmount({ pl_order: order }),
+  };
+}
+
+/**
+ * Match PL orders and Xero invoices and list the mismatches by category.
+ */
+function reconcile(plOrders, invoices) {
+  const cancelled = statusList(process.env.PL_CANCELLED_STATUSES, "Cancelled");
+  const awaitingPayment = statusList(
+    process.env.PL_AWAITING_PAYMENT_STATUSES,
+    "Awaiting Payment"
+  );
+
+  const invoicesByOrder = new Map();
+  for (const inv of invoices) {
+    const list = invoicesByOrder.get(inv.orderNumber) || [];
+    list.push(inv);
+    invoicesByOrder.set(inv.orderNumber, list);
+  }
+
+  const mismatches = Object.fromEntries(CATEGORIES.map((c) => [c, []]));
+
+  for (const order of plOrders.map(plOrderSummary)) {
+    if (!order.orderNumber) continue;
+
+    const plStatus = String(order.plStatus || "").trim().toLowerCase();
+    const matched = invoicesByOrder.get(order.orderNumber) || [];
+
+    if (matched.length === 0) {
+      if (!cancelled.includes(plStatus)) {
+        mismatches.not_invoiced.push(order);
+      }
+      continue;
+    }
+
+    if (matched.length > 1) {
+      mismatches.duplicate_invoices.push({
+        ...order,
+        invoiceNumbers: matched.map((inv) => inv.invoiceNumber),
+      });
+    }
+
+    for (const inv of matched) {
+      if (
+        order.plTotal !== null &&
+        inv.total !== null &&
+        Math.abs(order.plTotal - inv.total) > TOTAL_TOLERANCE
+      ) {
+        mismatches.total_mismatch.push({
+          ...order,
+          invoiceNumber: inv.invoiceNumber,
+          tenantId: inv.tenantId,
+          xeroStatus: inv.status,
+          xeroTotal: inv.total,
+          difference: round2(inv.total - order.plTotal),
+        });
+      }
+
+      if (inv.status === "PAID" && awaitingPayment.includes(plStatus)) {
+        mismatches.paid_status_not_updated.push({
+          ...order,
+          invoiceNumber: inv.invoiceNumber,
+          tenantId: inv.tenantId,
+          xeroStatus: inv.status,
+          amountPaid: inv.amountPaid,
+        });
+      }
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Build the reconciliation report for a date range.
+ *
+ * @param {{ from?: string, to?: string }} range - YYYY-MM-DD
+ */
+async function buildReconciliationReport(range) {
+  const { from, to } = resolveRange(range);
+
+  await ensureXeroReady();
+  const tenantIds = getConnectedTenants().map((c) => c.tenantId);
+
+  let plOrders;
+  try {
+    plOrders = await fetchPrintlogicOrders({ from, to });
+  } catch (err) {
+    throw new AppError("Could not fetch orders from PrintLogic", {
+      status: 502,
+      code: "PL_UPSTREAM",
+      details: { message: err.message || String(err) },
+    });
+  }
+
+  const invoices = [];
+  for (const tenantId of tenantIds) {
+    invoices.push(...(await fetchXeroInvoices(tenantId, { from, to })));
+  }
+
+  const mismatches = reconcile(plOrders, invoices);
+  const counts = {
+    plOrders: plOrders.length,
+    xeroInvoices: invoices.length,
+    ...Object.fromEntries(CATEGORIES.map((c) => [c, mismatches[c].length])),
+  };
+
+  log.info(`Report ${from}..${to}`, counts);
+
+  return {
+    from,
+    to,
+    invoicesUntil: isoDay(new Date(Date.parse(to) + INVOICE_LAG_DAYS * DAY_MS)),
+    generatedAt: new Date().toISOString(),
+    tenants: tenantIds,
+    counts,
+    mismatches,
+  };
+}
+
+const CSV_COLUMNS = [
+  "category",
+  "orderNumber",
+  "orderDate",
+  "plStatus",
+  "plTotal",
+  "invoiceNumber",
+  "xeroStatus",
+  "xeroTotal",
+  "difference",
+  "amountPaid",
+  "tenantId",
+];
+
+// Text starting with one of these is run as a formula by Excel/Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = Array.isArray(value) ? value.join(" ") : String(value);
+  // Names and references come from customers; numbers (e.g. a negative
+  // difference) are ours and stay numeric
+  if (typeof value !== "number" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The report's mismatches as CSV, one row per mismatch.
+ */
+function reportToCsv(report) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const category of CATEGORIES) {
+    for (const item of report.mismatches[category]) {
+      const row = {
+        ...item,
+        category,
+        invoiceNumber: item.invoiceNumber ?? item.invoiceNumbers,
+      };
+      rows.push(CSV_COLUMNS.map((col) => csvCell(row[col])).join(","));
+    }
+  }
+  return rows.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  buildReconciliationReport,
+  reportToCsv,
+};
@@ -0,0 +1,366 @@
+// rulesEngine.js
+// -----------------------------------------------------------------------------
+// Declarative server-side rules for logicConfig.applyServerSideLogic.
+//
+// Rules live in a JSON file (LOGIC_RULES_PATH) that is loaded once at startup.
+// Each rule has match conditions on payload fields and a set of actions:
+//
+//   {
+//     "rules": [
+//       {
+//         "name": "skip-test-orders",
+//         "when": { "description": { "contains": "test order" } },
+//         "then": { "skipXero": true },
+//         "stop": true
+//       },
+//       {
+//         "name": "acme-is-sdk",
+//         "when": { "customerName": { "equals": "Acme Ltd" } },
+//         "then": { "template": "SDK_Group", "emailCustomer": false }
+//       }
+//     ]
+//   }
+//
+// All conditions in `when` must match. Rules run in file order, later rules
+// see earlier rules' changes, and `"stop": true` ends evaluation once that
+// rule fires. Every evaluation produces a trace of which rules fired.
+//
+// Actions that can't be expressed in the PA payload (skipXero, accountCode,
+// status) are stored under underscore keys (_skipXero, …). Callers must not
+// be able to set those themselves, so stripInternalFields removes them from
+// the incoming body before the rules run.
+// -----------------------------------------------------------------------------
+
+const fs = require("fs");
+
+const { LOGIC_RULES_PATH } = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("rulesEngine");
+
+// ---------- fields ----------
+
+function firstNonEmpty(...values) {
+  for (const v of values) {
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return undefined;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = parseFloat(value);
+  return isNaN(n) ? undefined : n;
+}
+
+// Field name → how to read it from the (possibly already modified) payload
+const FIELDS = {
+  customerName: (p) =>
+    firstNonEmpty(p.pl_order?.customer_name, p.order_detail?.customer_name),
+  customerEmail: (p) =>
+    firstNonEmpty(
+      p.pl_order?.customer_email,
+      p.pl_order?.order_contact_email,
+      p.order_detail?.order_contact_email
+    ),
+  orderNumber: (p) => p.order_number,
+  orderPo: (p) => p.order_po,
+  category: (p) => p.pl_order?.customer_category,
+  template: (p) => p.template,
+  logicSource: (p) => p.logicSource,
+  total: (p) =>
+    toNumber(
+      firstNonEmpty(p.pl_order?.order_total, p.order_detail?.order_total)
+    ),
+  vat: (p) =>
+    toNumber(firstNonEmpty(p.pl_order?.order_vat, p.order_detail?.order_vat)),
+  totalIncVat: (p) => {
+    const explicit = toNumber(p.pl_order?.order_tot_incvat);
+    if (explicit !== undefined) return explicit;
+    const total = FIELDS.total(p);
+    const vat = FIELDS.vat(p);
+    return total !== undefined && vat !== undefined ? total + vat : undefined;
+  },
+  // Order description plus every item's title/detail
+  description: (p) => {
+    const parts = [
+      p.order_desc,
+      p.pl_order?.order_desc,
+      p.order_detail?.order_desc,
+    ];
+    const items = p.order_detail?.items;
+    if (items && typeof items === "object") {
+      for (const item of Object.values(items)) {
+        parts.push(item?.title, item?.detail);
+      }
+    }
+    return parts
+      .filter((v) => v !== undefined && v !== null && v !== "")
+      .join("\n");
+  },
+};
+
+// ---------- operators ----------
+
+const lower = (v) => String(v ?? "").toLowerCase();
+
+// Operator → (actual, expected) => boolean. String comparisons ignore case.
+const OPERATORS = {
+  exists: (actual, expected) => {
+    const present = actual !== undefined && actual !== null && actual !== "";
+    return present === Boolean(expected);
+  },
+  equals: (actual, expected) =>
+    typeof expected === "number"
+      ? toNumber(actual) === expected
+      : lower(actual) === lower(expected),
+  notEquals: (actual, expected) => !OPERATORS.equals(actual, expected),
+  in: (actual, expected) =>
+    Array.isArray(expected) && expected.some((e) => OPERATORS.equals(actual, e)),
+  contains: (actual, expected) => lower(actual).includes(lower(expected)),
+  startsWith: (actual, expected) => lower(actual).startsWith(lower(expected)),
+  endsWith: (actual, expected) => lower(actual).endsWith(lower(expected)),
+  matches: (actual, expected) =>
+    new RegExp(expected, "i").test(String(actual ?? "")),
+  gt: (actual, expected) => toNumber(actual) > expected,
+  gte: (actual, expected) => toNumber(actual) >= expected,
+  lt: (actual, expected) => toNumber(actual) < expected,
+  lte: (actual, expected) => toNumber(actual) <= expected,
+};
+
+// ---------- actions ----------
+
+const INVOICE_STATUSES = ["DRAFT", "SUBMITTED", "AUTHORISED"];
+
+// true/false, or the strings "true"/"false"; anything else is undefined
+function parseBoolean(value) {
+  if (typeof value === "boolean") return value;
+  const s = typeof value === "string" ? value.trim().toLowerCase() : null;
+  if (s === "true") return true;
+  if (s === "false") return false;
+  return undefined;
+}
+
+// Action name → the value types it accepts (checked when rules are loaded)
+const ACTION_VALUES = {
+  template: "string",
+  markAsPaid: "boolean",
+  emailCustomer: "boolean",
+  skipXero: "boolean",
+  accountCode: "string",
+  status: "status",
+};
+
+// Action name → how it changes the payload
+const ACTIONS = {
+  template: (payload, value) => {
+    payload.template = String(value);
+  },
+  markAsPaid: (payload, value) => {
+    payload.markAsPaid = parseBoolean(value);
+  },
+  emailCustomer: (payload, value) => {
+    payload.emailCustomer = parseBoolean(value);
+  },
+  skipXero: (payload, value) => {
+    payload._skipXero = parseBoolean(value);
+  },
+  // Sales account code for generated line items (see invoiceHelpers)
+  accountCode: (payload, value) => {
+    payload._accountCode = String(value);
+  },
+  // Xero invoice status (see invoiceService.buildInvoiceModel)
+  status: (payload, value) => {
+    payload._invoiceStatus = String(value).toUpperCase();
+  },
+};
+
+/**
+ * Copy of a request body without underscore keys, which only the server side
+ * sets. Dropped keys are logged.
+ */
+function stripInternalFields(rawPayload) {
+  const payload = {};
+  const dropped = [];
+  for (const [key, value] of Object.entries(rawPayload || {})) {
+    if (key.startsWith("_")) {
+      dropped.push(key);
+    } else {
+      payload[key] = value;
+    }
+  }
+
+  if (dropped.length > 0) {
+    log.warn("Ignoring server-side fields sent by the caller", { fields: dropped });
+  }
+  return payload;
+}
+
+// ---------- loading ----------
+
+function validateActionValue(label, action, value) {
+  const type = ACTION_VALUES[action];
+  if (type === "boolean" && parseBoolean(value) === undefined) {
+    throw new Error(`${label}: ${action} must be true or false`);
+  }
+  if (
+    type === "string" &&
+    (!["string", "number"].includes(typeof value) || String(value).trim() === "")
+  ) {
+    throw new Error(`${label}: ${action} must be a non-empty string`);
+  }
+  if (
+    type === "status" &&
+    (typeof value !== "string" || !INVOICE_STATUSES.includes(value.toUpperCase()))
+  ) {
+    throw new Error(
+      `${label}: status must be one of ${INVOICE_STATUSES.join(", ")}`
+    );
+  }
+}
+
+function validateRule(rule, index) {
+  const label = `rule #${index + 1}${rule?.name ? ` (${rule.name})` : ""}`;
+
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`${label}: must be an object`);
+  }
+
+  const when = rule.when || {};
+  if (typeof when !== "object" || Array.isArray(when)) {
+    throw new Error(`${label}: "when" must be an object`);
+  }
+
+  for (const [field, condition] of Object.entries(when)) {
+    if (!FIELDS[field]) {
+      throw new Error(`${label}: unknown field "${field}"`);
+    }
+    if (!condition || typeof condition !== "object") {
+      throw new Error(`${label}: condition for "${field}" must be an object`);
+    }
+    for (const [op, expected] of Object.entries(condition)) {
+      if (!OPERATORS[op]) {
+        throw new Error(`${label}: unknown operator "${op}" on "${field}"`);
+      }
+      if (op === "matches") {
+        new RegExp(expected); // throws on an invalid pattern
+      }
+    }
+  }
+
+  const then = rule.then;
+  if (!then || typeof then !== "object" || Object.keys(then).length === 0) {
+    throw new Error(`${label}: "then" must list at least one action`);
+  }
+  for (const [action, value] of Object.entries(then)) {
+    if (!ACTIONS[action]) {
+      throw new Error(`${label}: unknown action "${action}"`);
+    }
+    validateActionValue(label, action, value);
+  }
+
+  const stop = rule.stop === undefined ? false : parseBoolean(rule.stop);
+  if (stop === undefined) {
+    throw new Error(`${label}: "stop" must be true or false`);
+  }
+
+  return {
+    name: rule.name || `rule-${index + 1}`,
+    when,
+    then,
+    stop,
+  };
+}
+
+/**
+ * Load and validate rules from a JSON file. A missing file means "no rules";
+ * an invalid one throws, so a broken rules file stops the bridge at startup
+ * rather than silently letting orders through unfiltered.
+ */
+function loadRules(filePath = LOGIC_RULES_PATH) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    log.info(
+      `No rules file at ${filePath || "(unset)"}; no server-side rules active.`
+    );
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid rules file ${filePath}: ${err.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid rules file ${filePath}: expected a "rules" array`);
+  }
+
+  const rules = list.map((rule, index) => {
+    try {
+      return validateRule(rule, index);
+    } catch (err) {
+      throw new Error(`Invalid rules file ${filePath}: ${err.message}`);
+    }
+  });
+
+  log.info(`Loaded ${rules.length} rule(s) from ${filePath}`);
+  return rules;
+}
+
+// ---------- evaluation ----------
+
+function evaluateConditions(rule, payload) {
+  for (const [field, condition] of Object.entries(rule.when)) {
+    const actual = FIELDS[field](payload);
+    for (const [op, expected] of Object.entries(condition)) {
+      if (!OPERATORS[op](actual, expected)) {
+        return { matched: false, failed: { field, op, expected, actual } };
+      }
+    }
+  }
+  return { matched: true };
+}
+
+/**
+ * Run the rules against a payload (mutated in place).
+ *
+ * @returns {object[]} trace - one entry per rule evaluated:
+ *   { rule, matched, applied?, failed? }
+ */
+function applyRules(rules, payload) {
+  const trace = [];
+
+  for (const rule of rules) {
+    const { matched, failed } = evaluateConditions(rule, payload);
+
+    if (!matched) {
+      trace.push({
+        rule: rule.name,
+        matched: false,
+        failed: `${failed.field} ${failed.op} ${JSON.stringify(failed.expected)}`,
+      });
+      continue;
+    }
+
+    for (const [action, value] of Object.entries(rule.then)) {
+      ACTIONS[action](payload, value);
+    }
+    trace.push({ rule: rule.name, matched: true, applied: rule.then });
+
+    if (rule.stop) break;
+  }
+
+  return trace;
+}
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  ACTIONS,
+  INVOICE_STATUSES,
+  stripInternalFields,
+  loadRules,
+  applyRules,
+};
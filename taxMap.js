@@ -0,0 +1,281 @@
+// taxMap.js
+// -----------------------------------------------------------------------------
+// PL VAT rate → Xero TaxType mapping.
+//
+// The table is read from TAX_MAP_PATH (JSON, see tax-map.example.json) at
+// startup, falling back to the built-in UK defaults below:
+//
+//   rates       VAT % → TaxType, e.g. { "20": "OUTPUT2", "5": "REDUCED" }
+//   treatments  how 0% lines are coded, picked by the PL item's
+//               `vat_treatment` flag: zero_rated | exempt | out_of_scope.
+//               A 0% line without the flag uses rates["0"].
+//
+// A rate that isn't in the table is a hard validation error rather than a
+// silent default. On startup the configured codes are checked against each
+// connected organisation's Xero tax rates, and lines using a code that Xero
+// doesn't have (or has archived) are rejected before we call createInvoices.
+// -----------------------------------------------------------------------------
+
+const fs = require("fs");
+
+const { TAX_MAP_PATH } = require("./config");
+const { AppError } = require("./errors");
+const { createLogger } = require("./logger");
+
+const log = createLogger("taxMap");
+
+const DEFAULT_TAX_MAP = {
+  rates: {
+    20: "OUTPUT2", // 20% VAT
+    5: "REDUCED", // adjust if your 5% code differs
+    0: "EXEMPTOUTPUT", // 0% without a vat_treatment flag
+  },
+  treatments: {
+    zero_rated: "ZERORATEDOUTPUT",
+    exempt: "EXEMPTOUTPUT",
+    out_of_scope: "NONE",
+  },
+};
+
+// Spellings of the PL vat_treatment flag we accept
+const TREATMENT_ALIASES = {
+  zero: "zero_rated",
+  zero_rated: "zero_rated",
+  zerorated: "zero_rated",
+  exempt: "exempt",
+  out_of_scope: "out_of_scope",
+  outside_scope: "out_of_scope",
+  outside: "out_of_scope",
+  oos: "out_of_scope",
+};
+
+// Canonical rate key: "20", "20.0" and "20.00" are all "20"
+function rateKey(rate) {
+  return String(parseFloat(rate));
+}
+
+function normalizeTreatment(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return TREATMENT_ALIASES[key] || key;
+}
+
+function loadTaxMap(filePath = TAX_MAP_PATH) {
+  let raw = DEFAULT_TAX_MAP;
+  let source = "built-in defaults";
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid tax map file ${filePath}: ${err.message}`);
+    }
+    source = filePath;
+  }
+
+  if (!raw || typeof raw.rates !== "object" || Array.isArray(raw.rates)) {
+    throw new Error(`Invalid tax map (${source}): expected a "rates" object`);
+  }
+
+  const rates = {};
+  for (const [rate, taxType] of Object.entries(raw.rates)) {
+    if (isNaN(parseFloat(rate)) || !taxType) {
+      throw new Error(`Invalid tax map (${source}): bad entry for rate "${rate}"`);
+    }
+    rates[rateKey(rate)] = String(taxType);
+  }
+
+  const treatments = {};
+  for (const [treatment, taxType] of Object.entries(raw.treatments || {})) {
+    if (!taxType) {
+      throw new Error(
+        `Invalid tax map (${source}): bad entry for treatment "${treatment}"`
+      );
+    }
+    treatments[normalizeTreatment(treatment)] = String(taxType);
+  }
+
+  log.info(
+    `Loaded ${Object.keys(rates).length} rate(s) and ${
+      Object.keys(treatments).length
+    } treatment(s) from ${source}`
+  );
+  return { rates, treatments, source };
+}
+
+const TAX_MAP = loadTaxMap();
+
+// tenantId → { checkedAt, ok, missing: [], inactive: [] } from verifyTaxTypes
+const taxTypeChecks = new Map();
+
+/**
+ * Map a PL VAT rate (%) and optional vat_treatment flag to a Xero TaxType.
+ * Throws a 400 AppError for a missing rate (0% must be sent as "0") and for
+ * anything the table doesn't cover.
+ */
+function mapVatToTaxType(vatRateStr, treatment) {
+  if (
+    vatRateStr === undefined ||
+    vatRateStr === null ||
+    String(vatRateStr).trim() === ""
+  ) {
+    throw new AppError("Missing VAT rate on line item", {
+      status: 400,
+      code: "MISSING_VAT_RATE",
+      details: { vat: vatRateStr ?? null },
+    });
+  }
+
+  const rate = parseFloat(vatRateStr);
+  if (isNaN(rate)) {
+    throw new AppError(`Invalid VAT rate "${vatRateStr}" on line item`, {
+      status: 400,
+      code: "UNMAPPED_VAT_RATE",
+      details: { vat: vatRateStr },
+    });
+  }
+
+  const flag = normalizeTreatment(treatment);
+  if (flag) {
+    if (rate !== 0) {
+      throw new AppError(
+        `VAT treatment "${treatment}" is only valid on 0% lines (got ${rate}%)`,
+        {
+          status: 400,
+          code: "UNMAPPED_VAT_RATE",
+          details: { vat: vatRateStr, vat_treatment: treatment },
+        }
+      );
+    }
+    const taxType = TAX_MAP.treatments[flag];
+    if (!taxType) {
+      throw new AppError(`No Xero tax type mapped for VAT treatment "${treatment}"`, {
+        status: 400,
+        code: "UNMAPPED_VAT_RATE",
+        details: {
+          vat_treatment: treatment,
+          known: Object.keys(TAX_MAP.treatments),
+        },
+      });
+    }
+    return taxType;
+  }
+
+  const taxType = TAX_MAP.rates[rateKey(rate)];
+  if (!taxType) {
+    throw new AppError(`No Xero tax type mapped for VAT rate ${rate}%`, {
+      status: 400,
+      code: "UNMAPPED_VAT_RATE",
+      details: { vat: vatRateStr, known: Object.keys(TAX_MAP.rates) },
+    });
+  }
+  return taxType;
+}
+
+// Every TaxType the table can produce
+function configuredTaxTypes() {
+  return [
+    ...new Set([
+      ...Object.values(TAX_MAP.rates),
+      ...Object.values(TAX_MAP.treatments),
+    ]),
+  ];
+}
+
+/**
+ * Check the configured TaxTypes against Xero's tax rates for each tenant.
+ * Results are remembered for assertTaxTypesUsable and reporting.
+ *
+ * @returns {Promise<object[]>} one result per tenant
+ */
+async function verifyTaxTypes(xeroClient, tenantIds) {
+  const wanted = configuredTaxTypes();
+  const results = [];
+
+  for (const tenantId of tenantIds) {
+    let result;
+    try {
+      const response = await xeroClient.accountingApi.getTaxRates(tenantId);
+      const byType = new Map(
+        (response?.body?.taxRates || []).map((t) => [t.taxType, t])
+      );
+
+      const missing = wanted.filter((code) => !byType.has(code));
+      const inactive = wanted.filter(
+        (code) => byType.has(code) && String(byType.get(code).status) !== "ACTIVE"
+      );
+
+      result = {
+        tenantId,
+        checkedAt: new Date().toISOString(),
+        ok: missing.length === 0 && inactive.length === 0,
+        missing,
+        inactive,
+      };
+    } catch (err) {
+      result = {
+        tenantId,
+        checkedAt: new Date().toISOString(),
+        ok: false,
+        error: err?.response?.body?.Message || err.message || String(err),
+        missing: [],
+        inactive: [],
+      };
+    }
+
+    taxTypeChecks.set(tenantId, result);
+    results.push(result);
+
+    if (result.ok) {
+      log.info("Tax types OK", { tenantId });
+    } else {
+      log.error("Tax type check failed", result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Reject line items whose TaxType the tenant's check found missing or
+ * inactive. Tenants that haven't been checked yet are let through.
+ */
+function assertTaxTypesUsable(tenantId, lineItems = []) {
+  const check = taxTypeChecks.get(tenantId);
+  if (!check || check.error) return;
+
+  const bad = new Set([...check.missing, ...check.inactive]);
+  const offending = [
+    ...new Set(lineItems.map((li) => li?.taxType).filter((t) => bad.has(t))),
+  ];
+
+  if (offending.length > 0) {
+    throw new AppError(
+      `Tax type(s) not active in Xero: ${offending.join(", ")}`,
+      {
+        status: 400,
+        code: "XERO_TAX_TYPE_INVALID",
+        details: { tenantId, taxTypes: offending },
+      }
+    );
+  }
+}
+
+function getTaxTypeChecks() {
+  return [...taxTypeChecks.values()];
+}
+
+function getTaxMap() {
+  return TAX_MAP;
+}
+
+module.exports = {
+  mapVatToTaxType,
+  configuredTaxTypes,
+  verifyTaxTypes,
+  assertTaxTypesUsable,
+  getTaxTypeChecks,
+  getTaxMap,
+};
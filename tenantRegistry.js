@@ -0,0 +1,141 @@
+// tenantRegistry.js
+// -----------------------------------------------------------------------------
+// Brand / template → Xero organisation (tenant) mapping.
+//
+// One OAuth connection can cover several Xero orgs, so e.g. Giclee or SDK Group
+// orders can be routed to their own organisation. Configure the mapping with
+// XERO_TENANTS_BY_BRAND, either as JSON:
+//
+//   {"giclee": "<tenant-id>", "sdk group": "<tenant-id>"}
+//
+// or as a simple list:
+//
+//   giclee=<tenant-id>;sdk_group=<tenant-id>
+//
+// Keys are matched case-insensitively against the brand/template values that
+// invoiceService.deriveContext produces ("_" and spaces are equivalent).
+// Anything not mapped goes to XERO_TENANT_ID, or the first connected tenant.
+// -----------------------------------------------------------------------------
+
+const { XERO_TENANT_ID, XERO_TENANTS_BY_BRAND } = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("tenantRegistry");
+
+function normalizeBrandKey(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, " ");
+}
+
+function parseTenantMap(raw) {
+  const map = {};
+  if (!raw || !String(raw).trim()) return map;
+
+  let entries;
+  const text = String(raw).trim();
+
+  if (text.startsWith("{")) {
+    try {
+      entries = Object.entries(JSON.parse(text));
+    } catch (err) {
+      log.error("XERO_TENANTS_BY_BRAND is not valid JSON", {
+        error: err.message,
+      });
+      return map;
+    }
+  } else {
+    entries = text
+      .split(/[;,\n]/)
+      .map((pair) => pair.split("="))
+      .filter((parts) => parts.length === 2);
+  }
+
+  for (const [brand, tenantId] of entries) {
+    const key = normalizeBrandKey(brand);
+    const value = String(tenantId || "").trim();
+    if (key && value) {
+      map[key] = value;
+    }
+  }
+
+  return map;
+}
+
+const TENANTS_BY_BRAND = parseTenantMap(XERO_TENANTS_BY_BRAND);
+
+/**
+ * Tenant configured for the first matching brand key, or null.
+ *
+ * @param {string[]} brandKeys - e.g. [customerCategory, brandTrackingOption, template]
+ */
+function tenantIdForBrand(brandKeys = []) {
+  for (const brand of brandKeys) {
+    const tenantId = TENANTS_BY_BRAND[normalizeBrandKey(brand)];
+    if (tenantId) return tenantId;
+  }
+  return null;
+}
+
+/**
+ * Default tenant: XERO_TENANT_ID when it is connected, else the first
+ * connection.
+ */
+function defaultTenantId(connections = []) {
+  if (
+    XERO_TENANT_ID &&
+    connections.some((c) => c.tenantId === XERO_TENANT_ID)
+  ) {
+    return XERO_TENANT_ID;
+  }
+  return connections[0]?.tenantId || null;
+}
+
+/**
+ * Check every configured tenant against the current connections.
+ *
+ * @param {object[]} connections - from xero.updateTenants()
+ * @param {{ quiet?: boolean }} [opts] - quiet: don't log missing tenants
+ *   (for repeated checks such as /health/ready)
+ * @returns {{ ok: boolean, defaultTenantId: string|null, entries: object[] }}
+ */
+function validateTenants(connections = [], { quiet = false } = {}) {
+  const connected = new Map(connections.map((c) => [c.tenantId, c]));
+
+  const entries = Object.entries(TENANTS_BY_BRAND).map(([brand, tenantId]) => ({
+    brand,
+    tenantId,
+    connected: connected.has(tenantId),
+    tenantName: connected.get(tenantId)?.tenantName || null,
+  }));
+
+  if (XERO_TENANT_ID) {
+    entries.push({
+      brand: "(default)",
+      tenantId: XERO_TENANT_ID,
+      connected: connected.has(XERO_TENANT_ID),
+      tenantName: connected.get(XERO_TENANT_ID)?.tenantName || null,
+    });
+  }
+
+  const missing = entries.filter((e) => !e.connected);
+  for (const entry of quiet ? [] : missing) {
+    log.error(
+      `Tenant ${entry.tenantId} for brand "${entry.brand}" is not connected to this Xero app`
+    );
+  }
+
+  return {
+    ok: missing.length === 0,
+    defaultTenantId: defaultTenantId(connections),
+    entries,
+  };
+}
+
+module.exports = {
+  normalizeBrandKey,
+  tenantIdForBrand,
+  defaultTenantId,
+  validateTenants,
+};
@@ -0,0 +1,254 @@
+// tokenStore.js
+// -----------------------------------------------------------------------------
+// Where the Xero OAuth token set is kept. Every read and write of the token
+// goes through here; TOKEN_STORE picks the backend:
+//
+//   file    (default) one file at TOKEN_PATH, written to a temp file and
+//           renamed into place, with 0600 permissions
+//   sqlite  a single-row table in TOKEN_DB_PATH (needs better-sqlite3)
+//
+// With TOKEN_ENCRYPTION_KEY set the token set is encrypted with AES-256-GCM
+// before it is stored. Without it the token is stored as plain JSON and a
+// warning is logged at startup. A plain token left from before the key was
+// set is still read, and is encrypted on the next save (i.e. the next
+// refresh).
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  TOKEN_STORE,
+  TOKEN_PATH,
+  TOKEN_DB_PATH,
+  TOKEN_ENCRYPTION_KEY,
+} = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("tokenStore");
+
+const ALGORITHM = "aes-256-gcm";
+const FILE_MODE = 0o600;
+
+// ---------- encryption ----------
+
+function parseKey(raw) {
+  if (!raw) return null;
+
+  const text = String(raw).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text)
+    ? Buffer.from(text, "hex")
+    : Buffer.from(text, "base64");
+
+  if (key.length !== 32) {
+    throw new Error(
+      "Invalid TOKEN_ENCRYPTION_KEY: expected 64 hex chars or base64 of 32 bytes"
+    );
+  }
+  return key;
+}
+
+/**
+ * Encrypt/decrypt the serialised token set (or any JSON value; auditLog.js
+ * uses it for replayable request payloads). Without a key both are
+ * pass-throughs, so the stored value is plain JSON.
+ */
+function createTokenCipher(key) {
+  function encrypt(tokenSet) {
+    const json = JSON.stringify(tokenSet);
+    if (!key) return json;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(json, "utf8"), cipher.final()]);
+
+    return JSON.stringify({
+      encrypted: ALGORITHM,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    });
+  }
+
+  function decrypt(text) {
+    const parsed = JSON.parse(text);
+    if (!parsed || parsed.encrypted === undefined) {
+      return parsed; // plain token set
+    }
+
+    if (!key) {
+      throw new Error("Stored token is encrypted but TOKEN_ENCRYPTION_KEY is not set");
+    }
+    if (parsed.encrypted !== ALGORITHM) {
+      throw new Error(`Unsupported token encryption "${parsed.encrypted}"`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      Buffer.from(parsed.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(parsed.tag, "base64"));
+    const json = Buffer.concat([
+      decipher.update(Buffer.from(parsed.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+
+    return JSON.parse(json);
+  }
+
+  return { encrypt, decrypt, encrypted: Boolean(key) };
+}
+
+// ---------- backends ----------
+
+/**
+ * Token kept in one file, replaced atomically (temp file + rename).
+ */
+function createFileTokenStore(filePath, cipher) {
+  function read() {
+    if (!fs.existsSync(filePath)) return null;
+    return cipher.decrypt(fs.readFileSync(filePath, "utf8"));
+  }
+
+  function write(tokenSet) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, cipher.encrypt(tokenSet), { mode: FILE_MODE });
+    // mode only applies when the file is created
+    fs.chmodSync(tmpPath, FILE_MODE);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function clear() {
+    fs.rmSync(filePath, { force: true });
+  }
+
+  return { type: "file", location: filePath, read, write, clear };
+}
+
+/**
+ * Token kept in a single-row SQLite table.
+ */
+function createSqliteTokenStore(dbPath, cipher) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error(
+      "TOKEN_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)"
+    );
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  fs.chmodSync(dbPath, FILE_MODE);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xero_token (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      token TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  const selectToken = db.prepare("SELECT token FROM xero_token WHERE id = 1");
+  const upsertToken = db.prepare(`
+    INSERT INTO xero_token (id, token, updated_at) VALUES (1, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET token = excluded.token, updated_at = excluded.updated_at
+  `);
+  const deleteToken = db.prepare("DELETE FROM xero_token WHERE id = 1");
+
+  function read() {
+    const row = selectToken.get();
+    return row ? cipher.decrypt(row.token) : null;
+  }
+
+  function write(tokenSet) {
+    upsertToken.run(cipher.encrypt(tokenSet), new Date().toISOString());
+  }
+
+  function clear() {
+    deleteToken.run();
+  }
+
+  return { type: "sqlite", location: dbPath, read, write, clear };
+}
+
+const BACKENDS = {
+  file: (cipher) => createFileTokenStore(TOKEN_PATH, cipher),
+  sqlite: (cipher) => createSqliteTokenStore(TOKEN_DB_PATH, cipher),
+};
+
+/**
+ * Build the configured token store. An unknown backend or a bad key throws,
+ * so the bridge doesn't start without somewhere safe to keep the token.
+ */
+function createTokenStore(type = TOKEN_STORE, rawKey = TOKEN_ENCRYPTION_KEY) {
+  const backend = BACKENDS[String(type).trim().toLowerCase()];
+  if (!backend) {
+    throw new Error(
+      `Invalid TOKEN_STORE "${type}": expected one of ${Object.keys(BACKENDS).join(", ")}`
+    );
+  }
+
+  const cipher = createTokenCipher(parseKey(rawKey));
+  const store = backend(cipher);
+
+  if (!cipher.encrypted) {
+    log.warn("TOKEN_ENCRYPTION_KEY is not set; the Xero token is stored unencrypted", {
+      store: store.type,
+    });
+  }
+  log.info(`Using ${store.type} token store`, {
+    location: store.location,
+    encrypted: cipher.encrypted,
+  });
+
+  return { ...store, encrypted: cipher.encrypted };
+}
+
+const STORE = createTokenStore();
+
+/**
+ * The saved token set, or null when there is none (or it can't be read).
+ */
+function readToken() {
+  try {
+    return STORE.read();
+  } catch (err) {
+    log.error("Failed to read stored Xero token", err);
+    return null;
+  }
+}
+
+function saveToken(tokenSet) {
+  STORE.write(tokenSet);
+  log.debug("Saved token", { store: STORE.type });
+}
+
+function clearToken() {
+  STORE.clear();
+  log.info("Cleared stored token", { store: STORE.type });
+}
+
+// Backend details for status output (never the token itself)
+function getTokenStoreInfo() {
+  return {
+    type: STORE.type,
+    location: STORE.location,
+    encrypted: STORE.encrypted,
+  };
+}
+
+module.exports = {
+  parseKey,
+  createTokenCipher,
+  createTokenStore,
+  readToken,
+  saveToken,
+  clearToken,
+  getTokenStoreInfo,
+};
@@ -0,0 +1,270 @@
+// webhookQueue.js
+// -----------------------------------------------------------------------------
+// Persistent queue for incoming Xero webhook events.
+//
+// Xero expects a webhook response within 5 seconds, so the route only records
+// the events here and returns 200. A background worker then processes them
+// with retries, and the outcome of every event is kept (for a retention
+// period) so repeated deliveries of the same event are recognised and ignored.
+// -----------------------------------------------------------------------------
+
+const {
+  WEBHOOK_QUEUE_PATH,
+  WEBHOOK_QUEUE_MAX_ATTEMPTS,
+  WEBHOOK_QUEUE_BASE_DELAY_MS,
+  WEBHOOK_QUEUE_MAX_DELAY_MS,
+  WEBHOOK_QUEUE_POLL_MS,
+  WEBHOOK_QUEUE_RETENTION_DAYS,
+} = require("./config");
+const { createJsonFileStore } = require("./jsonFileStore");
+const { createLogger, redact } = require("./logger");
+const { webhookEvents } = require("./metrics");
+
+const log = createLogger("webhookQueue");
+
+const store = createJsonFileStore(WEBHOOK_QUEUE_PATH, () => ({ events: [] }));
+
+let processor = null;
+let pollTimer = null;
+let draining = false;
+let drainAgain = false;
+
+// ---------- persistence ----------
+
+function readRecords() {
+  const data = store.read();
+  return Array.isArray(data.events) ? data.events : [];
+}
+
+function writeRecords(records) {
+  store.write({ events: records });
+}
+
+function updateRecord(key, patch) {
+  const records = readRecords();
+  const idx = records.findIndex((r) => r.key === key);
+  if (idx === -1) return null;
+
+  records[idx] = {
+    ...records[idx],
+    ...patch,
+    updatedAt: new Date().toISOString(),
+  };
+  writeRecords(records);
+  return records[idx];
+}
+
+/**
+ * Dedup key for a Xero event: its eventId when present, otherwise
+ * resourceId + eventDateUtc (+ type, since one resource can fire several).
+ */
+function eventKey(event) {
+  if (event?.eventId) return String(event.eventId);
+
+  return [
+    event?.resourceId || "",
+    event?.eventDateUtc || "",
+    event?.eventCategory || "",
+    event?.eventType || "",
+  ].join("|");
+}
+
+function backoffDelayMs(attempts) {
+  const delay =
+    WEBHOOK_QUEUE_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, WEBHOOK_QUEUE_MAX_DELAY_MS);
+}
+
+// What is kept (and shown by /admin/webhook-events) of a failed attempt.
+// Never a stringified non-Error: xero-node throws JSON strings that carry
+// the access token.
+function describeError(err) {
+  if (!(err instanceof Error)) {
+    return "Unexpected error";
+  }
+
+  const parts = [err.code ? `${err.code}: ${err.message}` : err.message];
+  const body = err.details ?? err.response?.body ?? err.response?.data;
+  if (body !== undefined && body !== null) {
+    parts.push(typeof body === "string" ? body : JSON.stringify(body));
+  }
+  return redact(parts.join(" ")).slice(0, 1000);
+}
+
+// Drop finished records older than the retention window
+function pruneRecords(records) {
+  const cutoff = Date.now() - WEBHOOK_QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return records.filter(
+    (r) =>
+      r.status === "pending" ||
+      Date.parse(r.updatedAt || r.receivedAt) >= cutoff
+  );
+}
+
+// ---------- queue ----------
+
+/**
+ * Record webhook events for background processing. Events already seen
+ * (same dedup key) are skipped.
+ *
+ * @param {object[]} events - `events` array from the Xero webhook body
+ * @returns {{ queued: number, duplicates: number }}
+ */
+function enqueueWebhookEvents(events) {
+  const records = pruneRecords(readRecords());
+  const known = new Set(records.map((r) => r.key));
+  const now = new Date().toISOString();
+
+  let queued = 0;
+  let duplicates = 0;
+
+  for (const event of events) {
+    const key = eventKey(event);
+    if (known.has(key)) {
+      duplicates += 1;
+      continue;
+    }
+
+    known.add(key);
+    records.push({
+      key,
+      event,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      outcome: null,
+      lastError: null,
+      receivedAt: now,
+      updatedAt: now,
+    });
+    queued += 1;
+  }
+
+  writeRecords(records);
+  if (duplicates > 0) {
+    webhookEvents.inc({ outcome: "duplicate" }, duplicates);
+  }
+
+  if (queued > 0) {
+    setImmediate(drainWebhookQueue);
+  }
+
+  return { queued, duplicates };
+}
+
+async function processRecord(record) {
+  const attempts = (record.attempts || 0) + 1;
+
+  try {
+    const outcome = await processor(record.event);
+    updateRecord(record.key, {
+      status: "done",
+      attempts,
+      outcome: outcome || null,
+      lastError: null,
+      nextAttemptAt: null,
+    });
+    webhookEvents.inc({ outcome: outcome?.result || "done" });
+  } catch (err) {
+    const lastError = describeError(err);
+    const exhausted = attempts >= WEBHOOK_QUEUE_MAX_ATTEMPTS;
+    webhookEvents.inc({ outcome: exhausted ? "failed" : "retry" });
+
+    updateRecord(record.key, {
+      status: exhausted ? "failed" : "pending",
+      attempts,
+      lastError,
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + backoffDelayMs(attempts)).toISOString(),
+    });
+
+    log.warn(`Event ${record.key} failed${exhausted ? ", giving up" : ""}`, {
+      attempt: attempts,
+      maxAttempts: WEBHOOK_QUEUE_MAX_ATTEMPTS,
+      error: lastError,
+    });
+  }
+}
+
+/**
+ * Process every pending event that is due, oldest first.
+ */
+async function drainWebhookQueue() {
+  if (!processor) return;
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+
+  try {
+    do {
+      drainAgain = false;
+      const now = Date.now();
+      const due = readRecords().filter(
+        (r) =>
+          r.status === "pending" &&
+          (!r.nextAttemptAt || Date.parse(r.nextAttemptAt) <= now)
+      );
+
+      for (const record of due) {
+        await processRecord(record);
+      }
+    } while (drainAgain);
+  } catch (err) {
+    log.error("Error draining queue", err);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Start the background worker.
+ *
+ * @param {function(object): Promise<object|void>} processEvent - handles one
+ *   Xero event; its return value is stored as the event's outcome, and a
+ *   thrown error schedules a retry.
+ */
+function startWebhookWorker(processEvent) {
+  if (pollTimer) return;
+
+  processor = processEvent;
+  pollTimer = setInterval(drainWebhookQueue, WEBHOOK_QUEUE_POLL_MS);
+  pollTimer.unref();
+
+  const pending = readRecords().filter((r) => r.status === "pending").length;
+  log.info("Worker started", { pollMs: WEBHOOK_QUEUE_POLL_MS, pending });
+
+  drainWebhookQueue();
+}
+
+// ---------- admin ----------
+
+function listWebhookEvents({ status } = {}) {
+  const records = readRecords();
+  return status ? records.filter((r) => r.status === status) : records;
+}
+
+/**
+ * Put a failed (or finished) event back on the queue.
+ */
+function requeueWebhookEvent(key) {
+  const record = updateRecord(key, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  });
+  if (record) {
+    setImmediate(drainWebhookQueue);
+  }
+  return record;
+}
+
+module.exports = {
+  enqueueWebhookEvents,
+  drainWebhookQueue,
+  startWebhookWorker,
+  listWebhookEvents,
+  requeueWebhookEvent,
+};
@@ -5,11 +5,37 @@
 //
 // Routes:
 //   GET  /                → simple "alive" message
-//   GET  /health          → JSON health status
-//   GET  /xero/auth-url   → returns Xero OAuth consent URL
-//   GET  /xero/callback   → Xero redirects here after auth, saves token
+//   GET  /health          → JSON health status (incl. Xero quota remaining)
+//   GET  /health/ready    → readiness: Xero token/tenants, PrintLogic, config,
+//                           backlogs (503 when a critical check fails)
+//   GET  /admin/readiness → the same with details (admin)
+//   GET  /metrics         → Prometheus metrics (invoices, webhooks, PL
+//                           writebacks, token refreshes, call latency)
+//   GET  /brands          → effective brand registry
+//   GET  /xero/auth-url   → returns Xero OAuth consent URL (one-time state)
+//   GET  /xero/callback   → Xero redirects here after auth, checks the state,
+//                           saves token
+//   GET  /xero/status     → token expiry, granted scopes, connected tenants
+//   POST /xero/disconnect → revoke the Xero connection (or one tenant's)
+//   GET  /xero/tenants    → connected Xero orgs, brand → tenant registry and
+//                           tax type checks
 //   POST /create-invoice  → main endpoint Power Automate calls
+//                           (?dryRun=1 → same as /preview-invoice)
+//   POST /preview-invoice → build the invoice without touching Xero or PL
+//   POST /update-invoice  → apply an amended order to its invoice (or void it)
+//   POST /record-payment  → record payments (e.g. the balance) on an invoice
+//   POST /create-credit-note → credit (part of) an order's invoice
 //   POST /xero/invoice-webhook → Xero → PL payment sync (when invoice is PAID)
+//   GET  /admin/pl-outbox → list pending/failed PrintLogic writebacks
+//   POST /admin/pl-outbox/:id/retry   → retry an outbox entry now
+//   POST /admin/pl-outbox/:id/discard → drop an outbox entry
+//   GET  /admin/webhook-events → queued/processed Xero webhook events
+//   POST /admin/webhook-events/:key/retry → re-queue a webhook event
+//   GET  /audit/orders/:orderNumber → audit trail for one PL order
+//   GET  /audit           → audit record summaries (?status=failed&from=…)
+//   POST /admin/replay/:requestId → re-run a failed /create-invoice request
+//   POST /admin/replay    → replay failed requests by date range / error code
+//   GET  /reports/reconciliation → PL orders vs Xero invoices (JSON or CSV)
 // -----------------------------------------------------------------------------
 
 require("dotenv").config({ path: "/etc/pl-xero/pl-xero.env", quiet: true });
@@ -17,145 +43,382 @@ const express = require("express");
 const morgan = require("morgan");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const fs = require("fs");
 const path = require("path");
-const axios = require("axios");
 
-const { PORT, LOG_LEVEL, PL_API_URL, PL_API_KEY, TOKEN_PATH } = require("./config");
+const { PORT, LOG_LEVEL, CORS_ORIGINS } = require("./config");
+const { createLogger } = require("./logger");
 
 // From xeroClient we just need the client + init helper
-const { xero, initXeroFromDisk } = require("./xeroClient");
-
+const {
+  xero,
+  ensureXeroReady,
+  ensureXeroReadyFor,
+  getConnectedTenants,
+  initXeroFromDisk,
+  createConsentUrl,
+  completeConsent,
+  getConnectionStatus,
+  disconnectXero,
+} = require("./xeroClient");
+
+const { AppError } = require("./errors");
 const { applyServerSideLogic } = require("./logicConfig");
-const { createInvoiceFromPlPayload } = require("./invoiceService");
+const {
+  createInvoiceFromPlPayload,
+  previewInvoiceFromPlPayload,
+  updateInvoiceFromPlPayload,
+  recordPaymentsFromPlPayload,
+  toXeroAppError,
+} = require("./invoiceService");
+const { createCreditNoteFromPlPayload } = require("./creditNoteService");
+const {
+  buildReconciliationReport,
+  reportToCsv,
+} = require("./reconciliation");
+const { extractOrderNumberFromReference } = require("./invoiceHelpers");
+const { verifyXeroWebhook } = require("./xeroWebhook");
+const { requirePermission } = require("./apiAuth");
+const { validateTenants } = require("./tenantRegistry");
+const { listBrands } = require("./brandRegistry");
+const { verifyTaxTypes, getTaxTypeChecks } = require("./taxMap");
+const { getRateLimitStatus } = require("./xeroRateLimit");
+const { getReadiness, summarizeReadiness } = require("./readiness");
+const {
+  startAudit,
+  getAuditRecord,
+  getAuditForOrder,
+  getReplayPayload,
+  queryAudit,
+  findReplayCandidates,
+} = require("./auditLog");
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE,
+  renderMetrics,
+} = require("./metrics");
+const {
+  enqueueWebhookEvents,
+  startWebhookWorker,
+  listWebhookEvents,
+  requeueWebhookEvent,
+} = require("./webhookQueue");
+const {
+  enqueuePlAction,
+  attemptPlAction,
+  startOutboxWorker,
+  listOutboxEntries,
+  retryOutboxEntry,
+  discardOutboxEntry,
+} = require("./plOutbox");
 
 const app = express();
 
-// Where we persist the Xero token set
-// (centralised in config.js as TOKEN_PATH)
+const log = createLogger("pl-xero");
+const webhookLog = createLogger("invoice-webhook");
+const httpLog = createLogger("http");
+
+// The Xero token set is persisted through tokenStore.js (TOKEN_STORE)
 
 // -----------------------------------------------------------------------------
 // Helpers
 // -----------------------------------------------------------------------------
 
-/**
- * Push an order status update back into PrintLogic.
- * Expects PL to respond with { result: "ok" } or { status: "ok" } on success.
- */
-async function updatePrintlogicOrderStatus(orderNumber, status) {
-  if (!PL_API_URL || !PL_API_KEY) {
-    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
-  }
-
-  const payload = {
-    action: "update_order_status",
-    order_number: String(orderNumber),
-    status, // must exactly match PL status text e.g. "Pre-Press"
-  };
+// Client errors (4xx) are warnings; anything else is ours or upstream's
+function logRouteError(route, status, details) {
+  const level = status >= 400 && status < 500 ? "warn" : "error";
+  log[level](`${route} failed (${status})`, details);
+}
 
-  console.log("[PL] update_order_status payload:", payload);
+// Payments that failed, and fees that failed on payments that went through.
+// A failed fee leaves the clearing account out by the fee, so callers are
+// told about it even though the payment itself is recorded.
+function paymentProblems(payments = []) {
+  const failedPayments = payments.filter((p) => p.status === "failed");
+  const failedFees = payments.filter((p) => p.fee?.status === "failed");
+  const warnings = failedFees.map(
+    (p) =>
+      `Fee of ${p.fee.amount} for payment ${p.reference || p.paymentId} was not recorded: ${p.fee.error}`
+  );
+  return { failedPayments, failedFees, warnings };
+}
 
-  const resp = await axios.post(PL_API_URL, payload, {
-    params: { api_key: PL_API_KEY },
-    headers: { "Content-Type": "application/json" },
-    timeout: 10000,
-  });
+// What the audit trail keeps of an error. Only an Error's message, never a
+// stringified non-Error (xero-node throws JSON strings with the access token);
+// auditLog redacts the rest.
+function auditError(err) {
+  return {
+    status: err?.status || 500,
+    code: err?.code || "INTERNAL_ERROR",
+    message: err instanceof Error ? err.message : "Unexpected error",
+    details: err?.details,
+  };
+}
 
-  console.log("[PL] update_order_status response:", resp.data);
+/**
+ * Record a PrintLogic writeback in the durable outbox and, unless `wait` is
+ * false, make the first attempt before returning. A failed attempt is not an
+ * error here: the entry stays in the outbox and the worker retries it.
+ *
+ * Returns a small summary suitable for API responses.
+ */
+async function queuePlWriteback(action, args, { source, wait = true } = {}) {
+  const entry = enqueuePlAction(action, args, { source });
 
-  const data = resp.data || {};
+  if (!wait) {
+    attemptPlAction(entry.id).catch((err) => {
+      log.error("PL outbox attempt error", err);
+    });
+    return { action, outboxId: entry.id, status: "queued" };
+  }
 
-  // Accept either result:"ok" or status:"ok"
-  const result = data.result ?? data.status;
+  const outcome = await attemptPlAction(entry.id);
+  const summary = {
+    action,
+    outboxId: entry.id,
+    status: outcome.ok ? "done" : outcome.entry?.status || "pending",
+  };
+  if (!outcome.ok) {
+    summary.error = outcome.error;
+  }
+  return summary;
+}
 
-  if (result !== "ok") {
-    throw new Error(
-      `PrintLogic update_order_status failed: ${JSON.stringify(data)}`
-    );
+/**
+ * PL writebacks that follow a newly created invoice, in order. Shared by
+ * /create-invoice and the dry-run preview so both report the same plan.
+ *
+ * @returns {{ action: string, args: object, wait: boolean, description: string }[]}
+ */
+function afterCreateWritebackPlan(plOrderNumber, { invoiceNumber, invoiceId }) {
+  if (!plOrderNumber) return [];
+
+  const afterCreateStatus = process.env.PL_AFTER_CREATE_STATUS || "Pre-Press";
+  const statusNonBlocking = ["1", "true", "yes"].includes(
+    (process.env.PL_AFTER_CREATE_STATUS_NONBLOCKING || "").toLowerCase()
+  );
+
+  const plan = [
+    {
+      action: "order_status",
+      args: { orderNumber: plOrderNumber, status: afterCreateStatus },
+      wait: !statusNonBlocking,
+      description: `status update: order ${plOrderNumber} -> "${afterCreateStatus}"`,
+    },
+  ];
+
+  const invoiceRefAction = (process.env.PL_INVOICE_REF_ACTION || "").trim();
+  if (invoiceRefAction) {
+    plan.push({
+      action: "invoice_ref",
+      args: { orderNumber: plOrderNumber, invoiceNumber, invoiceId },
+      wait: true,
+      description: `invoice ref update (${invoiceRefAction}): order ${plOrderNumber}, invoice ${invoiceNumber}`,
+    });
   }
 
-  return data;
+  return plan;
 }
 
 /**
- * Push Xero invoice reference back into PrintLogic.
- * Expects PL to respond with { result: "ok" } or { status: "ok" } on success.
+ * Handle one queued Xero webhook event (called by the webhook worker).
+ * When the invoice is PAID, push the job back to PrintLogic as "Pre-Press".
+ *
+ * Returns an outcome summary that the queue stores against the event; throws
+ * to have the event retried.
  */
-async function updatePrintlogicOrderInvoiceRef(
-  orderNumber,
-  invoiceNumber,
-  invoiceId
-) {
-  const action = (process.env.PL_INVOICE_REF_ACTION || "").trim();
-  if (!action) {
-    return null;
+async function processInvoiceWebhookEvent(event) {
+  // We only care about invoice updates
+  if (event.eventCategory !== "INVOICE" || event.eventType !== "UPDATE") {
+    return { result: "ignored", reason: "not an invoice update" };
   }
 
-  if (!PL_API_URL || !PL_API_KEY) {
-    throw new Error("PL_API_URL or PL_API_KEY missing in environment");
+  const resourceId = event.resourceId;
+  if (!resourceId) {
+    return { result: "ignored", reason: "no resourceId" };
   }
 
-  const fieldNumber =
-    process.env.PL_INVOICE_REF_FIELD_NUMBER || "xero_invoice_number";
-  const fieldId = process.env.PL_INVOICE_REF_FIELD_ID || "xero_invoice_id";
+  // Ignore Xero's sample placeholder
+  if (resourceId === "PAID_INVOICE_ID_GOES_HERE") {
+    webhookLog.info("Ignoring placeholder resourceId PAID_INVOICE_ID_GOES_HERE");
+    return { result: "ignored", reason: "placeholder resourceId" };
+  }
 
-  const payload = {
-    action,
-    order_number: String(orderNumber),
-    [fieldNumber]: String(invoiceNumber),
-  };
+  // Ensure Xero client is ready; the event says which org it came from
+  const tenantId = await ensureXeroReadyFor({ tenantId: event.tenantId });
+
+  webhookLog.info("Processing invoice event", { resourceId, tenantId });
+
+  let body;
+  try {
+    ({ body } = await xero.accountingApi.getInvoice(tenantId, resourceId));
+  } catch (err) {
+    throw toXeroAppError(err, "getInvoice");
+  }
+  const invoice = body?.invoices?.[0];
 
-  if (invoiceId !== undefined && invoiceId !== null) {
-    payload[fieldId] = String(invoiceId);
+  if (!invoice) {
+    webhookLog.warn("No invoice returned", { resourceId });
+    return { result: "ignored", reason: "invoice not found" };
   }
 
-  console.log("[PL] invoice ref payload:", payload);
+  webhookLog.info(`Invoice ${invoice.invoiceNumber} status: ${invoice.status}`);
 
-  const resp = await axios.post(PL_API_URL, payload, {
-    params: { api_key: PL_API_KEY },
-    headers: { "Content-Type": "application/json" },
-    timeout: 10000,
-  });
+  // Only push back to PL when invoice is PAID
+  if (invoice.status !== "PAID") {
+    return {
+      result: "not_paid",
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+    };
+  }
 
-  const data = resp.data || {};
-  const result = data.result ?? data.status;
+  // Extract PL order number from invoice.reference (e.g. "WEB-1532TEST [6662]")
+  const plOrderNumber = extractOrderNumberFromReference(invoice.reference);
 
-  if (result !== "ok") {
-    throw new Error(
-      `PrintLogic ${action} failed: ${JSON.stringify(data)}`
+  if (!plOrderNumber) {
+    webhookLog.warn("Could not extract PL order number from reference", {
+      invoiceNumber: invoice.invoiceNumber,
+      reference: invoice.reference,
+    });
+    return {
+      result: "no_order_number",
+      invoiceNumber: invoice.invoiceNumber,
+      reference: invoice.reference || null,
+    };
+  }
+
+  // Update the order in PrintLogic to Pre-Press (via the outbox, so a PL
+  // outage is retried rather than lost)
+  const statusWriteback = await queuePlWriteback(
+    "order_status",
+    { orderNumber: plOrderNumber, status: "Pre-Press" },
+    { source: "invoice-webhook" }
+  );
+  if (statusWriteback.status === "done") {
+    webhookLog.info(
+      `Updated PL order ${plOrderNumber} → "Pre-Press" (Xero invoice ${invoice.invoiceNumber})`
     );
+  } else {
+    webhookLog.warn("PL status update failed, left in outbox", {
+      outboxId: statusWriteback.outboxId,
+      error: statusWriteback.error,
+    });
   }
 
-  return data;
-}
+  const plWritebacks = [statusWriteback];
+
+  if ((process.env.PL_INVOICE_REF_ACTION || "").trim()) {
+    const refWriteback = await queuePlWriteback(
+      "invoice_ref",
+      {
+        orderNumber: plOrderNumber,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceId: invoice.invoiceID,
+      },
+      { source: "invoice-webhook" }
+    );
+    plWritebacks.push(refWriteback);
+    if (refWriteback.status === "done") {
+      webhookLog.info(
+        `PL invoice ref updated: order ${plOrderNumber}, invoice ${invoice.invoiceNumber}`
+      );
+    } else {
+      webhookLog.warn("PL invoice ref update failed, left in outbox", {
+        outboxId: refWriteback.outboxId,
+        error: refWriteback.error,
+      });
+    }
+  }
 
-/**
- * Extract PL order number from an invoice reference string.
- * Expected formats:
- *   "[6663]"
- *   "WEB-1532TEST [6662]"
- * Returns the numeric part as a string, or null if not found.
- */
-function extractOrderNumberFromReference(ref) {
-  if (!ref || typeof ref !== "string") return null;
+  return {
+    result: "paid",
+    invoiceNumber: invoice.invoiceNumber,
+    orderNumber: plOrderNumber,
+    plWritebacks,
+  };
+}
 
-  // Look for a [12345] pattern (e.g. "WEB-1532TEST [6662]" or "[6663]")
-  const match = ref.match(/\[(\d+)\]/);
-  if (match && match[1]) return match[1];
+// Webhook events go through the audit trail (see auditLog.js)
+async function processAuditedWebhookEvent(event) {
+  const audit = startAudit("invoice-webhook", { payload: event });
+  const invoiceId = event.eventCategory === "INVOICE" ? event.resourceId : null;
 
-  // No bracketed order number found
-  return null;
+  try {
+    const outcome = await processInvoiceWebhookEvent(event);
+    audit.finish(outcome.result === "paid" ? "success" : "ignored", {
+      outcome,
+      orderNumber: outcome.orderNumber,
+      invoiceId,
+      invoiceNumber: outcome.invoiceNumber,
+      tenantId: event.tenantId,
+      plWritebacks: outcome.plWritebacks,
+    });
+    return outcome;
+  } catch (err) {
+    audit.finish("failed", {
+      invoiceId,
+      tenantId: event.tenantId,
+      error: auditError(err),
+    });
+    throw err;
+  }
 }
 
 // -----------------------------------------------------------------------------
 // Middleware
 // -----------------------------------------------------------------------------
 
-app.use(cors());
-app.use(bodyParser.json({ limit: "1mb" }));
+// Only the configured browser origins (CORS_ORIGINS); server-to-server
+// callers like Power Automate don't need CORS at all
+app.use(
+  cors({
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+  })
+);
+app.use(
+  bodyParser.json({
+    limit: "1mb",
+    // Keep the exact bytes received: Xero webhook signatures are computed
+    // over the raw body, not the re-serialised JSON.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// Request logging through the structured logger ('short' if debug, else
+// 'tiny'); credentials in query strings are masked by the logger
+app.use(
+  morgan(LOG_LEVEL === "debug" ? "short" : "tiny", {
+    stream: { write: (line) => httpLog.info(line.trim()) },
+  })
+);
 
-// Simple logging: 'dev' if debug, else 'tiny'
-app.use(morgan(LOG_LEVEL === "debug" ? "dev" : "tiny"));
+// -----------------------------------------------------------------------------
+// Access control (API keys / HMAC, see apiAuth.js)
+// -----------------------------------------------------------------------------
+// Left open: /, /health, /health/ready, /xero/callback (Xero's browser
+// redirect, checked against the one-time OAuth state instead) and
+// /xero/invoice-webhook (signed by Xero, see xeroWebhook.js).
+
+app.use(
+  ["/create-invoice", "/update-invoice", "/record-payment", "/create-credit-note"],
+  requirePermission("invoices")
+);
+app.use("/preview-invoice", requirePermission("preview"));
+app.use("/reports", requirePermission("reports"));
+app.use("/metrics", requirePermission("metrics"));
+app.use(
+  [
+    "/brands",
+    "/xero/auth-url",
+    "/xero/status",
+    "/xero/disconnect",
+    "/xero/tenants",
+    "/admin",
+    "/audit",
+  ],
+  requirePermission("admin")
+);
 
 // -----------------------------------------------------------------------------
 // Basic routes
@@ -165,27 +428,64 @@ app.get("/", (req, res) => {
   res.send("pl-xero bridge is running.");
 });
 
+// Effective brand registry (branding theme IDs shown as fingerprints)
+app.get("/brands", (req, res) => {
+  res.json({ ok: true, ...listBrands() });
+});
+
 app.get("/health", (req, res) => {
   res.json({
     ok: true,
     status: "up",
     port: PORT,
     time: new Date().toISOString(),
+    xeroRateLimits: getRateLimitStatus(),
   });
 });
 
+// Prometheus scrape endpoint (see metrics.js)
+app.get("/metrics", (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+// Readiness for monitors: 503 when a critical dependency is down. Open, so
+// only component statuses; the details are on /admin/readiness.
+app.get("/health/ready", async (req, res) => {
+  try {
+    const report = await getReadiness();
+    res.status(report.ok ? 200 : 503).json(summarizeReadiness(report));
+  } catch (err) {
+    log.error("/health/ready failed", err);
+    res.status(503).json({ ok: false, status: "not_ready" });
+  }
+});
+
+// Full readiness report (admin): messages, tenants, missing config, expiries
+app.get("/admin/readiness", async (req, res) => {
+  try {
+    const report = await getReadiness();
+    res.status(report.ok ? 200 : 503).json(report);
+  } catch (err) {
+    log.error("/admin/readiness failed", err);
+    res.status(503).json({
+      ok: false,
+      status: "not_ready",
+      error: err.message || "Error running readiness checks",
+    });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // Xero auth routes
 // -----------------------------------------------------------------------------
 
-// 1) Get Xero consent URL
+// 1) Get Xero consent URL (admin only; carries a one-time state)
 app.get("/xero/auth-url", async (req, res) => {
   try {
-    await xero.initialize();
-    const consentUrl = await xero.buildConsentUrl();
+    const consentUrl = await createConsentUrl({ requestedBy: req.apiKey?.name });
     res.json({ ok: true, url: consentUrl });
   } catch (err) {
-    console.error("[/xero/auth-url] Error:", err);
+    log.error("/xero/auth-url failed", err);
     res.status(500).json({
       ok: false,
       error: err.message || "Error building Xero auth URL",
@@ -193,58 +493,242 @@ app.get("/xero/auth-url", async (req, res) => {
   }
 });
 
-// 2) Xero OAuth callback
+// 2) Xero OAuth callback. Xero redirects the admin's browser here, so there
+// is no API key; the one-time state from /xero/auth-url is checked instead.
 app.get("/xero/callback", async (req, res) => {
   try {
-    await xero.initialize();
-
-    // xero-node's apiCallback parses the code + state from the URL
-    const tokenSet = await xero.apiCallback(req.url);
-
-    // Persist token so we can re-use it later (bridge restart, etc.)
-    fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokenSet, null, 2));
-    console.log("[/xero/callback] Token saved to", TOKEN_PATH);
-
-    // Update tenants so xeroClient knows the org
-    await xero.updateTenants();
-
-    console.log("[/xero/callback] Token saved and tenants updated.");
+    // Checks the state, exchanges the code, saves the token and re-reads the
+    // connection list
+    await completeConsent(req.url);
+    log.info("Xero tenants updated after callback");
+
+    // Newly connected orgs need their tax codes checked too
+    checkTaxTypes().catch((e) => {
+      log.error("Tax type check after callback failed", e);
+    });
 
     res.send(
       "Xero authentication completed. You can close this window and run your Power Automate flow."
     );
   } catch (err) {
-    console.error("[/xero/callback] Error:", err.response?.data || err);
+    const status = err?.status || 500;
+    logRouteError("/xero/callback", status, err);
     res
-      .status(500)
-      .send("Error completing Xero auth. Check server logs for details.");
+      .status(status)
+      .send(
+        status === 400
+          ? err.message
+          : "Error completing Xero auth. Check server logs for details."
+      );
   }
 });
 
+// 3) Connection status: token, expiry, scopes, tenants (no secrets)
+app.get("/xero/status", async (req, res) => {
+  try {
+    const status = await getConnectionStatus();
+    res.json({ ok: status.connected, ...status });
+  } catch (err) {
+    log.error("/xero/status failed", err);
+    res.status(500).json({
+      ok: false,
+      error: err.message || "Error reading Xero connection status",
+    });
+  }
+});
+
+// 4) Disconnect: { tenantId } removes one org, no body revokes the token
+app.post("/xero/disconnect", async (req, res) => {
+  try {
+    const result = await disconnectXero({ tenantId: req.body?.tenantId });
+    log.warn("Xero disconnected", { by: req.apiKey?.name, ...result });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    const status = err?.status || 502;
+    logRouteError("/xero/disconnect", status, err);
+    res.status(status).json({
+      ok: false,
+      code: err.code || "XERO_DISCONNECT_FAILED",
+      error: err.message || "Error disconnecting Xero",
+    });
+  }
+});
+
+// Check the tax map's codes exist and are ACTIVE in every connected org
+async function checkTaxTypes() {
+  await ensureXeroReady();
+  const tenantIds = getConnectedTenants().map((c) => c.tenantId);
+  return verifyTaxTypes(xero, tenantIds);
+}
+
+// 5) Connected tenants and the brand → tenant registry
+app.get("/xero/tenants", async (req, res) => {
+  try {
+    await ensureXeroReady();
+    const connections = getConnectedTenants();
+    const registry = validateTenants(connections);
+
+    res.json({
+      ok: registry.ok,
+      defaultTenantId: registry.defaultTenantId,
+      connections: connections.map((c) => ({
+        tenantId: c.tenantId,
+        tenantName: c.tenantName,
+        tenantType: c.tenantType,
+      })),
+      registry: registry.entries,
+      taxTypes: getTaxTypeChecks(),
+    });
+  } catch (err) {
+    log.error("/xero/tenants failed", err);
+    res.status(err.status || 500).json({
+      ok: false,
+      code: err.code || "INTERNAL_ERROR",
+      error: err.message || "Error reading Xero tenants",
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Dry run (POST /preview-invoice or /create-invoice?dryRun=1)
+// -----------------------------------------------------------------------------
+//
+// Runs the same pipeline as /create-invoice (server-side rules, validation,
+// context, invoice model, payments, PL writeback plan) and returns what
+// would be sent, without calling Xero or PrintLogic.
+//
+function previewInvoice(req, res) {
+  let payload;
+  try {
+    payload = applyServerSideLogic(req.body);
+
+    if (payload._skipXero) {
+      return res.status(200).json({
+        ok: true,
+        dryRun: true,
+        skipped: true,
+        reason: "_skipXero flag set by server-side logic",
+        rules: payload._ruleTrace || [],
+      });
+    }
+
+    const preview = previewInvoiceFromPlPayload(payload);
+
+    const payloadOrderNumber = payload.order_number;
+    const plOrderNumber =
+      payloadOrderNumber !== undefined &&
+      payloadOrderNumber !== null &&
+      payloadOrderNumber !== ""
+        ? String(payloadOrderNumber)
+        : extractOrderNumberFromReference(preview.invoice.reference);
+
+    const plWritebacks = afterCreateWritebackPlan(plOrderNumber, {
+      invoiceNumber: "(assigned by Xero)",
+      invoiceId: "(assigned by Xero)",
+    }).map(({ action, args, wait }) => ({ action, args, wait }));
+
+    return res.status(200).json({
+      ok: true,
+      dryRun: true,
+      duplicateOf: preview.existingInvoice,
+      invoice: preview.invoice,
+      contact: preview.contact,
+      tenantId: preview.tenantId,
+      payments: preview.payments,
+      emailCustomer: preview.emailCustomer,
+      plWritebacks,
+      totals: preview.totals,
+      context: preview.context,
+      rules: payload._ruleTrace || [],
+    });
+  } catch (err) {
+    const status = err?.status || 500;
+    const response = {
+      ok: false,
+      dryRun: true,
+      code: err?.code || "INTERNAL_ERROR",
+      error: err?.message || "Error building invoice preview",
+    };
+    if (err?.details !== undefined) {
+      response.details = err.details;
+    }
+    if (payload?._ruleTrace) {
+      response.rules = payload._ruleTrace;
+    }
+    logRouteError("/preview-invoice", status, response);
+    return res.status(status).json(response);
+  }
+}
+
+app.post("/preview-invoice", previewInvoice);
+
 // -----------------------------------------------------------------------------
 // Main invoice endpoint (PrintLogic → Xero)
 // -----------------------------------------------------------------------------
 
-app.post("/create-invoice", async (req, res) => {
+/**
+ * The /create-invoice pipeline: server-side rules, invoiceService, then the
+ * PL writebacks, all recorded in the audit trail. Also used to replay failed
+ * requests (`replayOf` is the audit record being repeated).
+ *
+ * @returns {Promise<{ status: number, response: object, auditId: string }>}
+ */
+async function runCreateInvoice(body, { requestedBy, replayOf, route } = {}) {
+  const label = route || "/create-invoice";
+  const audit = startAudit("create-invoice", {
+    orderNumber: body?.order_number,
+    requestedBy,
+    payload: body,
+    replayPayload: body,
+    replayOf,
+  });
+  const done = (status, response) => ({ status, response, auditId: audit.id });
+
+  let payload;
   try {
-    console.log("[/create-invoice] Incoming body:");
-    console.log(JSON.stringify(req.body, null, 2));
+    log.debug(`${label} incoming body`, body);
 
     // Let logicConfig optionally tweak/inspect the payload
-    const payload = applyServerSideLogic(req.body);
+    payload = applyServerSideLogic(body);
+    audit.set({ payload, rules: payload._ruleTrace });
 
     // Optional escape hatch: allow logicConfig to set _skipXero
     if (payload._skipXero) {
-      console.log("[/create-invoice] _skipXero flag set, not calling Xero.");
-      return res.status(200).json({
+      log.info(`${label}: _skipXero flag set, not calling Xero`);
+      audit.finish("skipped");
+      return done(200, {
         ok: true,
         skipped: true,
         reason: "_skipXero flag set by server-side logic",
+        rules: payload._ruleTrace || [],
       });
     }
 
     // The heavy lifting is done in invoiceService
-    const result = await createInvoiceFromPlPayload(payload);
+    const result = await createInvoiceFromPlPayload(payload, { audit });
+    audit.set({
+      orderNumber: payload.order_number,
+      invoiceId: result.invoiceId,
+      invoiceNumber: result.invoiceNumber,
+      tenantId: result.tenantId,
+    });
+
+    // Retried request for an order we've already invoiced: hand back the
+    // original invoice and don't repeat the PL writebacks.
+    if (result.duplicate) {
+      log.info(
+        `${label}: duplicate request, returning existing invoice ${result.invoiceNumber}`
+      );
+      audit.finish("duplicate");
+      return done(200, {
+        ok: true,
+        duplicate: true,
+        invoiceId: result.invoiceId,
+        invoiceNumber: result.invoiceNumber,
+        reference: result.reference,
+        rules: payload._ruleTrace || [],
+      });
+    }
 
     const payloadOrderNumber = payload?.order_number;
     const plOrderNumber =
@@ -256,72 +740,81 @@ app.post("/create-invoice", async (req, res) => {
             result.reference || result.invoice?.reference
           );
 
+    const plWritebacks = [];
     if (!plOrderNumber) {
-      console.log(
-        "[PL] after-create: no order_number available; skipping PL writeback"
-      );
-    } else {
-      const afterCreateStatus =
-        process.env.PL_AFTER_CREATE_STATUS || "Pre-Press";
-      const statusNonBlocking = ["1", "true", "yes"].includes(
-        (process.env.PL_AFTER_CREATE_STATUS_NONBLOCKING || "").toLowerCase()
-      );
-
-      const updateStatus = async () => {
-        await updatePrintlogicOrderStatus(plOrderNumber, afterCreateStatus);
-        console.log(
-          `[PL] after-create status update: order ${plOrderNumber} -> "${afterCreateStatus}"`
-        );
-      };
+      log.warn("PL after-create: no order_number available; skipping PL writeback");
+    }
 
-      if (statusNonBlocking) {
-        try {
-          await updateStatus();
-        } catch (err) {
-          console.warn(
-            "[PL] after-create status update failed:",
-            err.response?.data || err.response?.body || err.message
-          );
-        }
-      } else {
-        try {
-          await updateStatus();
-        } catch (err) {
-          console.warn(
-            "[PL] after-create status update failed:",
-            err.response?.data || err.response?.body || err.message
-          );
-          throw err;
-        }
+    // Writebacks go through the outbox, so a PL outage no longer fails the
+    // request after the Xero invoice already exists.
+    const plan = afterCreateWritebackPlan(plOrderNumber, result);
+    for (const step of plan) {
+      const writeback = await queuePlWriteback(step.action, step.args, {
+        source: replayOf ? "replay" : "create-invoice",
+        wait: step.wait,
+      });
+      plWritebacks.push(writeback);
+
+      if (writeback.status === "done") {
+        log.info(`PL after-create ${step.description}: done`);
+      } else if (writeback.status !== "queued") {
+        log.warn(`PL after-create ${step.description} failed, left in outbox`, {
+          outboxId: writeback.outboxId,
+          error: writeback.error,
+        });
       }
+    }
 
-      const invoiceRefAction = (process.env.PL_INVOICE_REF_ACTION || "").trim();
-      if (invoiceRefAction) {
-        try {
-          const refResult = await updatePrintlogicOrderInvoiceRef(
-            plOrderNumber,
-            result.invoiceNumber,
-            result.invoiceId
-          );
-          if (refResult) {
-            console.log(
-              `[PL] after-create invoice ref updated: order ${plOrderNumber}, invoice ${result.invoiceNumber}`
-            );
-          }
-        } catch (err) {
-          console.warn(
-            "[PL] after-create invoice ref update failed:",
-            err.response?.data || err.response?.body || err.message
-          );
-        }
-      }
+    audit.finish("success", {
+      contact: result.contact,
+      payments: result.payments,
+      // not under an "email…" key, which the redaction would blank out
+      invoiceDelivery: result.email,
+      plWritebacks,
+    });
+
+    // The invoice exists, so this isn't a failure to retry; 207 and ok: false
+    // tell the caller to resend the payments through /record-payment
+    const { failedPayments, failedFees, warnings } = paymentProblems(
+      result.payments
+    );
+    if (result.contact?.fallback) {
+      warnings.unshift(
+        `Contact could not be resolved (${result.contact.error}); Xero matched it by name`
+      );
+    }
+    let problem = null;
+    if (failedPayments.length > 0) {
+      problem = {
+        code: "PAYMENT_FAILED",
+        error: `Invoice created, but ${failedPayments.length} payment(s) failed; resend them with /record-payment`,
+      };
+    } else if (failedFees.length > 0) {
+      problem = {
+        code: "PAYMENT_FEE_FAILED",
+        error: `Invoice and payments created, but ${failedFees.length} fee(s) failed; record them in Xero`,
+      };
+    }
+    if (problem) {
+      log.warn(`${label}: invoice ${result.invoiceNumber} created with problems`, {
+        code: problem.code,
+        failedPayments: failedPayments.length,
+        failedFees: failedFees.length,
+      });
     }
 
-    return res.status(201).json({
-    ok: true,
+    return done(problem ? 207 : 201, {
+      ok: !problem,
+      duplicate: false,
       invoiceId: result.invoiceId,
       invoiceNumber: result.invoiceNumber,
       reference: result.reference,
+      contact: result.contact,
+      payments: result.payments,
+      ...(problem || {}),
+      ...(warnings.length > 0 ? { warnings } : {}),
+      plWritebacks,
+      rules: payload._ruleTrace || [],
     });
   } catch (err) {
     const status = err?.status || 500;
@@ -329,12 +822,8 @@ app.post("/create-invoice", async (req, res) => {
     const message = err?.message || "Error creating invoice";
     const details = err?.details;
 
-    console.error("[/create-invoice] Error:", {
-      status,
-      code,
-      message,
-      details,
-    });
+    logRouteError(label, status, { code, message, details });
+    audit.finish("failed", { error: auditError(err) });
 
     const response = {
       ok: false,
@@ -346,6 +835,210 @@ app.post("/create-invoice", async (req, res) => {
       response.details = details;
     }
 
+    if (payload?._ruleTrace) {
+      response.rules = payload._ruleTrace;
+    }
+
+    return done(status, response);
+  }
+}
+
+app.post("/create-invoice", async (req, res) => {
+  const dryRun = String(req.query.dryRun || "").toLowerCase();
+  if (["1", "true", "yes"].includes(dryRun)) {
+    return previewInvoice(req, res);
+  }
+
+  const { status, response } = await runCreateInvoice(req.body, {
+    requestedBy: req.apiKey?.name,
+  });
+  res.status(status).json(response);
+});
+
+// -----------------------------------------------------------------------------
+// Amended orders (PrintLogic → Xero)
+// -----------------------------------------------------------------------------
+//
+// Same body as /create-invoice. The existing invoice's lines are replaced
+// with the ones built from the payload while it is unpaid; `cancelled: true`
+// (or a PL order_status of "Cancelled") voids it instead. Invoices with
+// payments or credits applied are refused with 409 INVOICE_HAS_PAYMENTS.
+//
+app.post("/update-invoice", async (req, res) => {
+  let payload;
+  try {
+    log.debug("/update-invoice incoming body", req.body);
+
+    payload = applyServerSideLogic(req.body);
+
+    if (payload._skipXero) {
+      log.info("/update-invoice: _skipXero flag set, not calling Xero");
+      return res.status(200).json({
+        ok: true,
+        skipped: true,
+        reason: "_skipXero flag set by server-side logic",
+        rules: payload._ruleTrace || [],
+      });
+    }
+
+    const result = await updateInvoiceFromPlPayload(payload);
+
+    return res.status(200).json({
+      ok: true,
+      action: result.action,
+      invoiceId: result.invoiceId,
+      invoiceNumber: result.invoiceNumber,
+      status: result.status,
+      total: result.total,
+      diff: result.diff,
+      rules: payload._ruleTrace || [],
+    });
+  } catch (err) {
+    const status = err?.status || 500;
+    const response = {
+      ok: false,
+      code: err?.code || "INTERNAL_ERROR",
+      error: err?.message || "Error updating invoice",
+    };
+    if (err?.details !== undefined) {
+      response.details = err.details;
+    }
+    if (payload?._ruleTrace) {
+      response.rules = payload._ruleTrace;
+    }
+    logRouteError("/update-invoice", status, response);
+    return res.status(status).json(response);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Later payments (deposit first, balance on collection)
+// -----------------------------------------------------------------------------
+//
+// Body: { order_number, payments: [{ amount | balance: true, date?,
+// account_code?, reference?, method? }] }. Payments whose reference is
+// already on the invoice are skipped, so a retried request doesn't pay twice.
+//
+app.post("/record-payment", async (req, res) => {
+  try {
+    log.debug("/record-payment incoming body", req.body);
+
+    const result = await recordPaymentsFromPlPayload(req.body);
+    const { failedPayments, failedFees, warnings } = paymentProblems(
+      result.payments
+    );
+
+    let status = 200;
+    let problem = null;
+    if (failedPayments.length > 0) {
+      status = 502;
+    } else if (failedFees.length > 0) {
+      status = 207;
+      problem = {
+        code: "PAYMENT_FEE_FAILED",
+        error: `Payments recorded, but ${failedFees.length} fee(s) failed; record them in Xero`,
+      };
+    }
+
+    return res.status(status).json({
+      ok: status === 200,
+      ...(problem || {}),
+      invoiceId: result.invoiceId,
+      invoiceNumber: result.invoiceNumber,
+      payments: result.payments,
+      ...(warnings.length > 0 ? { warnings } : {}),
+    });
+  } catch (err) {
+    const status = err?.status || 500;
+    const response = {
+      ok: false,
+      code: err?.code || "INTERNAL_ERROR",
+      error: err?.message || "Error recording payment",
+    };
+    if (err?.details !== undefined) {
+      response.details = err.details;
+    }
+    logRouteError("/record-payment", status, response);
+    return res.status(status).json(response);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Credit notes (refunds / cancelled orders)
+// -----------------------------------------------------------------------------
+//
+// Body: { order_number, order_detail?.items | lineItems?, reason?, allocate? }
+// Without lines the whole invoice is credited. An Idempotency-Key header is
+// passed on to Xero so a retried request doesn't create a second credit note.
+//
+app.post("/create-credit-note", async (req, res) => {
+  try {
+    log.debug("/create-credit-note incoming body", req.body);
+
+    const result = await createCreditNoteFromPlPayload(req.body, {
+      idempotencyKey: req.get("Idempotency-Key"),
+    });
+
+    // Repeated request: hand back the credit note already raised
+    if (result.duplicate) {
+      return res.status(200).json({
+        ok: true,
+        duplicate: true,
+        creditNoteId: result.creditNoteId,
+        creditNoteNumber: result.creditNoteNumber,
+        total: result.total,
+        invoiceId: result.invoiceId,
+        invoiceNumber: result.invoiceNumber,
+      });
+    }
+
+    const plWritebacks = [];
+    const creditNoteRefAction = (
+      process.env.PL_CREDIT_NOTE_REF_ACTION || ""
+    ).trim();
+    if (creditNoteRefAction) {
+      const writeback = await queuePlWriteback(
+        "credit_note_ref",
+        {
+          orderNumber: String(req.body.order_number).trim(),
+          creditNoteNumber: result.creditNoteNumber,
+          creditNoteId: result.creditNoteId,
+        },
+        { source: "create-credit-note" }
+      );
+      plWritebacks.push(writeback);
+
+      if (writeback.status !== "done") {
+        log.warn(`PL credit note ref (${creditNoteRefAction}) failed, left in outbox`, {
+          outboxId: writeback.outboxId,
+          error: writeback.error,
+        });
+      }
+    }
+
+    return res.status(201).json({
+      ok: true,
+      duplicate: false,
+      creditNoteId: result.creditNoteId,
+      creditNoteNumber: result.creditNoteNumber,
+      total: result.total,
+      full: result.full,
+      invoiceId: result.invoiceId,
+      invoiceNumber: result.invoiceNumber,
+      allocation: result.allocation,
+      plWritebacks,
+    });
+  } catch (err) {
+    const status = err?.status || 500;
+    const response = {
+      ok: false,
+      code: err?.code || "INTERNAL_ERROR",
+      error: err?.message || "Error creating credit note",
+    };
+    if (err?.details !== undefined) {
+      response.details = err.details;
+    }
+    logRouteError("/create-credit-note", status, response);
     return res.status(status).json(response);
   }
 });
@@ -369,110 +1062,295 @@ app.post("/create-invoice", async (req, res) => {
 //   ]
 // }
 //
-app.post("/xero/invoice-webhook", async (req, res) => {
+// Every delivery must carry a valid x-xero-signature (see xeroWebhook.js).
+// Xero's "intent to receive" check sends signed requests with no events and
+// expects 200 for a good signature and 401 for a bad one.
+//
+app.post("/xero/invoice-webhook", verifyXeroWebhook, (req, res) => {
   try {
     const events = req.body?.events || [];
 
     if (!Array.isArray(events) || events.length === 0) {
-      console.log("[/xero/invoice-webhook] No events in payload");
-      return res.status(200).send("No events");
+      webhookLog.info("No events in payload");
+      return res.status(200).end();
     }
 
-    // Ensure Xero client is ready & we know tenant
-    await xero.initialize();
-    await xero.updateTenants();
+    // Acknowledge straight away; the webhook worker does the Xero/PL calls
+    const { queued, duplicates } = enqueueWebhookEvents(events);
+    webhookLog.info(`Queued ${queued} event(s), ${duplicates} duplicate(s) ignored`);
+
+    res.status(200).end();
+  } catch (err) {
+    webhookLog.error("Error queueing events", err);
+    res.status(500).send("Error handling invoice webhook");
+  }
+});
+
+// -----------------------------------------------------------------------------
+// PrintLogic outbox admin
+// -----------------------------------------------------------------------------
 
-    const tenantId =
-      process.env.XERO_TENANT_ID ||
-      (Array.isArray(xero.tenants) && xero.tenants[0]?.tenantId);
+// List outbox entries (optionally ?status=pending|failed)
+app.get("/admin/pl-outbox", (req, res) => {
+  const status = req.query.status ? String(req.query.status) : undefined;
+  const entries = listOutboxEntries({ status });
+  res.json({ ok: true, count: entries.length, entries });
+});
 
-    if (!tenantId) {
-      throw new Error("No Xero tenantId available");
-    }
+// Reset an entry's attempts and try it again now
+app.post("/admin/pl-outbox/:id/retry", async (req, res) => {
+  const outcome = await retryOutboxEntry(req.params.id);
+  if (!outcome) {
+    return res
+      .status(404)
+      .json({ ok: false, code: "NOT_FOUND", error: "Outbox entry not found" });
+  }
 
-    for (const event of events) {
-      // We only care about invoice updates
-      if (event.eventCategory !== "INVOICE" || event.eventType !== "UPDATE") {
-        continue;
-      }
+  res.json({
+    ok: outcome.ok,
+    entry: outcome.entry,
+    ...(outcome.ok ? {} : { error: outcome.error }),
+  });
+});
 
-      const resourceId = event.resourceId;
-      if (!resourceId) continue;
+// Drop an entry without sending it to PrintLogic
+app.post("/admin/pl-outbox/:id/discard", (req, res) => {
+  const removed = discardOutboxEntry(req.params.id);
+  if (!removed) {
+    return res
+      .status(404)
+      .json({ ok: false, code: "NOT_FOUND", error: "Outbox entry not found" });
+  }
 
-      // Ignore Xero's sample placeholder
-      if (resourceId === "PAID_INVOICE_ID_GOES_HERE") {
-        console.log(
-          "[/xero/invoice-webhook] Ignoring placeholder resourceId PAID_INVOICE_ID_GOES_HERE"
-        );
-        continue;
-      }
+  res.json({ ok: true, discarded: removed });
+});
 
-      console.log(
-        `[/xero/invoice-webhook] Processing invoice event for resourceId: ${resourceId}`
-      );
+// -----------------------------------------------------------------------------
+// Webhook event queue admin
+// -----------------------------------------------------------------------------
 
-      const { body } = await xero.accountingApi.getInvoice(tenantId, resourceId);
-      const invoice = body?.invoices?.[0];
+// List queued/processed webhook events and their outcomes
+// (optionally ?status=pending|done|failed)
+app.get("/admin/webhook-events", (req, res) => {
+  const status = req.query.status ? String(req.query.status) : undefined;
+  const events = listWebhookEvents({ status });
+  res.json({ ok: true, count: events.length, events });
+});
 
-      if (!invoice) {
-        console.warn(
-          `[/xero/invoice-webhook] No invoice returned for resourceId: ${resourceId}`
-        );
-        continue;
-      }
+// Put an event back on the queue
+app.post("/admin/webhook-events/:key/retry", (req, res) => {
+  const record = requeueWebhookEvent(req.params.key);
+  if (!record) {
+    return res
+      .status(404)
+      .json({ ok: false, code: "NOT_FOUND", error: "Webhook event not found" });
+  }
 
-      console.log(
-        `[/xero/invoice-webhook] Invoice ${invoice.invoiceNumber} status: ${invoice.status}`
-      );
+  res.json({ ok: true, event: record });
+});
 
-      // Only push back to PL when invoice is PAID
-      if (invoice.status !== "PAID") {
-        continue;
-      }
+// -----------------------------------------------------------------------------
+// Audit trail (see auditLog.js)
+// -----------------------------------------------------------------------------
 
-      // Extract PL order number from invoice.reference (e.g. "WEB-1532TEST [6662]")
-      const plOrderNumber = extractOrderNumberFromReference(invoice.reference);
+function auditRouteError(res, route, err) {
+  const status = err?.status || 500;
+  const response = {
+    ok: false,
+    code: err?.code || "INTERNAL_ERROR",
+    error: err?.message || "Error reading the audit trail",
+  };
+  if (err?.details !== undefined) {
+    response.details = err.details;
+  }
+  logRouteError(route, status, response);
+  res.status(status).json(response);
+}
 
-      if (!plOrderNumber) {
-        console.warn(
-          `[/xero/invoice-webhook] Could not extract PL order number from reference: ${invoice.reference}`
-        );
-        continue;
-      }
+// Everything recorded for one PL order, newest first (with request data)
+app.get("/audit/orders/:orderNumber", (req, res) => {
+  try {
+    const records = getAuditForOrder(req.params.orderNumber);
+    res.json({
+      ok: true,
+      orderNumber: req.params.orderNumber,
+      count: records.length,
+      records,
+    });
+  } catch (err) {
+    auditRouteError(res, "/audit/orders", err);
+  }
+});
+
+// Record summaries (?status=&kind=&orderNumber=&from=&to=&limit=)
+app.get("/audit", (req, res) => {
+  try {
+    const filters = {};
+    for (const name of ["status", "kind", "orderNumber", "from", "to", "limit"]) {
+      if (req.query[name] !== undefined) filters[name] = String(req.query[name]);
+    }
+    const records = queryAudit(filters);
+    res.json({ ok: true, count: records.length, records });
+  } catch (err) {
+    auditRouteError(res, "/audit", err);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Replaying failed invoice requests (see auditLog.js)
+// -----------------------------------------------------------------------------
+
+const REPLAY_DEFAULT_WINDOW_DAYS = 7;
+
+// Re-run one failed /create-invoice request. The original body goes through
+// the server-side rules and invoiceService again, so an order invoiced in the
+// meantime comes back as a duplicate rather than a second invoice.
+async function replayAuditRecord(record, requestedBy) {
+  if (record.kind !== "create-invoice" || record.status !== "failed") {
+    throw new AppError("Only failed /create-invoice requests can be replayed", {
+      status: 409,
+      code: "NOT_REPLAYABLE",
+      details: { kind: record.kind, status: record.status },
+    });
+  }
 
-      // Update the order in PrintLogic to Pre-Press
-      await updatePrintlogicOrderStatus(plOrderNumber, "Pre-Press");
+  const body = getReplayPayload(record.id);
+  if (!body) {
+    throw new AppError("The original request was not kept for this record", {
+      status: 409,
+      code: "REPLAY_PAYLOAD_MISSING",
+    });
+  }
+
+  log.info("Replaying failed invoice request", {
+    auditId: record.id,
+    orderNumber: record.orderNumber,
+    requestedBy,
+  });
+  return runCreateInvoice(body, {
+    requestedBy,
+    replayOf: record.id,
+    route: "/admin/replay",
+  });
+}
+
+// Replay one record by audit id
+app.post("/admin/replay/:requestId", async (req, res) => {
+  try {
+    const record = getAuditRecord(req.params.requestId);
+    if (!record) {
+      return res
+        .status(404)
+        .json({ ok: false, code: "NOT_FOUND", error: "Audit record not found" });
+    }
+
+    const run = await replayAuditRecord(record, req.apiKey?.name);
+    res.status(run.status).json({
+      ok: run.response.ok,
+      replayOf: record.id,
+      replayId: run.auditId,
+      result: run.response,
+    });
+  } catch (err) {
+    auditRouteError(res, "/admin/replay", err);
+  }
+});
+
+// Replay failed requests in bulk: body { from?, to?, code?, limit?, dryRun? }.
+// `from` defaults to REPLAY_DEFAULT_WINDOW_DAYS ago; only the newest failure
+// per order is replayed, and orders invoiced since are left out. Runs one at
+// a time so the Xero rate limits apply as usual.
+app.post("/admin/replay", async (req, res) => {
+  try {
+    const { to, code, limit } = req.body || {};
+    const from =
+      req.body?.from ||
+      new Date(Date.now() - REPLAY_DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+        .toISOString();
+    const dryRun = ["1", "true", "yes"].includes(
+      String(req.body?.dryRun ?? "").toLowerCase()
+    );
+
+    const candidates = findReplayCandidates({ from, to, code, limit });
+    if (dryRun) {
+      return res.json({
+        ok: true,
+        dryRun: true,
+        count: candidates.length,
+        candidates,
+      });
+    }
+
+    const results = [];
+    for (const record of candidates) {
       try {
-        const result = await updatePrintlogicOrderInvoiceRef(
-          plOrderNumber,
-          invoice.invoiceNumber,
-          invoice.invoiceID
-        );
-        if (result) {
-          console.log(
-            `[PL] invoice ref updated: order ${plOrderNumber}, invoice ${invoice.invoiceNumber}`
-          );
-        }
+        const run = await replayAuditRecord(record, req.apiKey?.name);
+        results.push({
+          replayOf: record.id,
+          orderNumber: record.orderNumber,
+          replayId: run.auditId,
+          status: run.status,
+          result: run.response,
+        });
       } catch (err) {
-        console.warn(
-          "[PL] invoice ref update failed:",
-          err.response?.data || err.response?.body || err.message
-        );
+        results.push({
+          replayOf: record.id,
+          orderNumber: record.orderNumber,
+          status: err?.status || 500,
+          result: { ok: false, code: err?.code || "INTERNAL_ERROR", error: err?.message },
+        });
       }
+    }
+
+    const succeeded = results.filter((r) => r.result.ok).length;
+    res.json({
+      ok: succeeded === results.length,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (err) {
+    auditRouteError(res, "/admin/replay", err);
+  }
+});
 
-      console.log(
-        `[/xero/invoice-webhook] Updated PL order ${plOrderNumber} → "Pre-Press" (Xero invoice ${invoice.invoiceNumber})`
+// -----------------------------------------------------------------------------
+// Reports
+// -----------------------------------------------------------------------------
+
+// PL ↔ Xero reconciliation (?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv)
+app.get("/reports/reconciliation", async (req, res) => {
+  const format = String(req.query.format || "").toLowerCase();
+  const wantsCsv =
+    format === "csv" || (!format && req.accepts(["json", "csv"]) === "csv");
+
+  try {
+    const report = await buildReconciliationReport({
+      from: req.query.from ? String(req.query.from) : undefined,
+      to: req.query.to ? String(req.query.to) : undefined,
+    });
+
+    if (wantsCsv) {
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="reconciliation-${report.from}-${report.to}.csv"`
       );
+      return res.type("text/csv").send(reportToCsv(report));
     }
 
-    res.status(200).send("OK");
+    res.json({ ok: true, ...report });
   } catch (err) {
-    console.error(
-      "[/xero/invoice-webhook] Error:",
-      // xero-node puts the HTTP body on `response.body`
-      err.response?.body || err.message || err
-    );
-    res.status(500).send("Error handling invoice webhook");
+    const response = {
+      ok: false,
+      code: err?.code || "INTERNAL_ERROR",
+      error: err?.message || "Error building reconciliation report",
+    };
+    if (err?.details !== undefined) {
+      response.details = err.details;
+    }
+    logRouteError("/reports/reconciliation", err?.status || 500, response);
+    res.status(err?.status || 500).json(response);
   }
 });
 
@@ -481,7 +1359,7 @@ app.post("/xero/invoice-webhook", async (req, res) => {
 // -----------------------------------------------------------------------------
 
 app.use((err, req, res, next) => {
-  console.error("[pl-xero] Unhandled error:", err);
+  log.error("Unhandled error", err);
   res.status(500).json({ ok: false, error: "Internal server error" });
 });
 
@@ -490,10 +1368,19 @@ app.use((err, req, res, next) => {
 // -----------------------------------------------------------------------------
 
 app.listen(PORT, () => {
-  console.log(`[pl-xero] Server listening on port ${PORT}`);
+  log.info(`Server listening on port ${PORT}`);
 
-  // Optionally initialise Xero from any saved token on startup
-  initXeroFromDisk().catch((err) => {
-    console.error("[pl-xero] initXeroFromDisk error:", err);
-  });
+  // Retry any PL writebacks left pending from before the restart
+  startOutboxWorker();
+
+  // Process queued Xero webhook events in the background
+  startWebhookWorker(processAuditedWebhookEvent);
+
+  // Optionally initialise Xero from any saved token on startup, then check
+  // the VAT → TaxType map against each connected org
+  initXeroFromDisk()
+    .then(checkTaxTypes)
+    .catch((err) => {
+      log.error("Xero startup checks error", err);
+    });
 });
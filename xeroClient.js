@@ -1,12 +1,37 @@
 // xeroClient.js
-// Centralised Xero client, with manual refresh + tenant handling
+// Centralised Xero client, with manual refresh + tenant handling.
+// The token is refreshed only when it is within XERO_TOKEN_REFRESH_MARGIN_SEC
+// of expiry (one refresh at a time), the connection list is cached for
+// XERO_TENANTS_CACHE_TTL_MS, and an API call rejected with 401 is retried once
+// after a forced refresh. Calls are also rate limited (see xeroRateLimit.js).
+// The OAuth consent flow (one-time state), connection status and disconnect
+// live here too.
 
-const fs = require("fs");
-const path = require("path");
 const axios = require("axios");
+const crypto = require("crypto");
 const { XeroClient } = require("xero-node");
 
-const { TOKEN_PATH } = require("./config");
+const {
+  XERO_TOKEN_REFRESH_MARGIN_SEC,
+  XERO_TENANTS_CACHE_TTL_MS,
+} = require("./config");
+const { AppError } = require("./errors");
+const { createLogger } = require("./logger");
+const { tokenRefreshes, xeroRequestDuration } = require("./metrics");
+const {
+  tenantIdForBrand,
+  defaultTenantId,
+  validateTenants,
+} = require("./tenantRegistry");
+const {
+  readToken,
+  saveToken,
+  clearToken,
+  getTokenStoreInfo,
+} = require("./tokenStore");
+const { callWithRateLimit, parseXeroError } = require("./xeroRateLimit");
+
+const log = createLogger("xero");
 
 const xero = new XeroClient({
   clientId: process.env.XERO_CLIENT_ID,
@@ -17,6 +42,10 @@ const xero = new XeroClient({
 
 let tenantId = process.env.XERO_TENANT_ID || null;
 
+// Xero refresh tokens last 60 days from when they were issued (each refresh
+// issues a new one)
+const REFRESH_TOKEN_LIFETIME_SEC = 60 * 24 * 60 * 60;
+
 // ---------- helpers ----------
 
 function hasValidRefresh(tokenSet) {
@@ -33,18 +62,13 @@ function isTokenExpiredLocal(tokenSet) {
   return nowSec >= tokenSet.expires_at;
 }
 
-function saveToken(tokenSet) {
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokenSet, null, 2));
-  console.log("[Xero] Saved token to", TOKEN_PATH);
-}
-
 // Manual refresh against Xero's OAuth2 token endpoint (no use of xero.openIdClient)
 async function refreshWithAxios(tokenSet) {
   if (!hasValidRefresh(tokenSet)) {
     throw new Error("No refresh_token present in token set.");
   }
 
-  console.log("[Xero] Refreshing token via Xero identity endpoint...");
+  log.info("Refreshing token via Xero identity endpoint");
 
   const params = new URLSearchParams();
   params.append("grant_type", "refresh_token");
@@ -72,62 +96,203 @@ async function refreshWithAxios(tokenSet) {
     ...tokenSet,
     ...data, // access_token, refresh_token, expires_in, id_token?, scope, token_type
     expires_at: nowSec + (data.expires_in || 1800), // default 30 minutes if not provided
+    refresh_token_issued_at: nowSec,
   };
 
   await xero.setTokenSet(newTokenSet);
   saveToken(newTokenSet);
 
-  console.log("[Xero] Token refreshed. New expiry (epoch):", newTokenSet.expires_at);
+  log.info("Token refreshed", { expiresAt: newTokenSet.expires_at });
   return newTokenSet;
 }
 
-// ---------- init from disk (best effort) ----------
+// ---------- single-flight refresh ----------
 
-async function initFromSavedToken() {
-  if (!fs.existsSync(TOKEN_PATH)) {
-    console.log("[Xero] No saved token found.");
-    return;
+// Xero rotates the refresh token on every refresh, so two refreshes running
+// side by side would leave one caller holding a revoked token. All refreshes
+// share this promise while one is in flight.
+let refreshInFlight = null;
+
+// Access token missing or within the refresh margin of its expiry
+function needsRefresh(tokenSet) {
+  if (!tokenSet || !tokenSet.access_token) return true;
+  if (!tokenSet.expires_at) return false; // if we can't tell, assume OK
+  const nowSec = Math.floor(Date.now() / 1000);
+  return nowSec >= tokenSet.expires_at - XERO_TOKEN_REFRESH_MARGIN_SEC;
+}
+
+function refreshTokenOnce() {
+  if (!refreshInFlight) {
+    refreshInFlight = refreshWithAxios(xero.readTokenSet())
+      .then((tokenSet) => {
+        tokenRefreshes.inc({ result: "success" });
+        return tokenSet;
+      })
+      .catch((err) => {
+        tokenRefreshes.inc({ result: "failure" });
+        log.error("Failed to refresh token", err);
+        throw new Error(
+          "Failed to refresh Xero token. You may need to re-connect Xero via the browser auth flow."
+        );
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Refresh after Xero rejected `rejectedAccessToken`, unless another caller
+ * has already replaced it.
+ */
+async function forceTokenRefresh(rejectedAccessToken) {
+  if (refreshInFlight) return refreshInFlight;
+
+  const current = xero.readTokenSet();
+  if (current?.access_token && current.access_token !== rejectedAccessToken) {
+    return current;
   }
+  return refreshTokenOnce();
+}
+
+// accountingApi methods that call Xero (the rest are setters)
+const API_METHOD = /^(get|create|update|delete|post|put|email)/;
 
+// One attempt at a Xero call, timed for /metrics by call name and status
+async function timedXeroCall(name, fn) {
+  const end = xeroRequestDuration.startTimer({ call: name });
   try {
-    const storedToken = JSON.parse(fs.readFileSync(TOKEN_PATH, "utf8"));
+    const result = await fn();
+    // xero-node returns the axios response, so .status (not .statusCode)
+    end({ status: result?.response?.status || "unknown" });
+    return result;
+  } catch (err) {
+    end({ status: parseXeroError(err).status || "error" });
+    throw err;
+  }
+}
 
-    // Make sure XeroClient is initialized
-    try {
-      await xero.initialize();
-    } catch (e) {
-      // initialize() is idempotent, ignore errors if it's already initialised
-      console.log("[Xero] initialize() during initFromSavedToken:", e.message || e);
-    }
+/**
+ * Route every accountingApi call through the rate limiter (xeroRateLimit.js)
+ * and retry it once, with a forced token refresh, when Xero answers 401
+ * (e.g. the token was revoked or expired early). The first argument of every
+ * accounting call is the tenant ID.
+ */
+function wrapAccountingApi(api) {
+  const proto = Object.getPrototypeOf(api);
+
+  for (const name of Object.getOwnPropertyNames(proto)) {
+    const fn = Object.getOwnPropertyDescriptor(proto, name).value;
+    if (typeof fn !== "function" || !API_METHOD.test(name)) continue;
+
+    const call = (args) =>
+      callWithRateLimit(args[0], name, () =>
+        timedXeroCall(name, () => fn.apply(api, args))
+      );
+
+    api[name] = async (...args) => {
+      const accessToken = xero.readTokenSet()?.access_token;
+      try {
+        return await call(args);
+      } catch (err) {
+        if (parseXeroError(err).status !== 401) throw err;
+
+        log.warn(`${name} got 401, refreshing token and retrying once`);
+        await forceTokenRefresh(accessToken);
+        return call(args);
+      }
+    };
+  }
+}
+
+wrapAccountingApi(xero.accountingApi);
+
+// ---------- tenants (cached) ----------
+
+let tenantsLoadedAt = 0;
+let tenantsInFlight = null;
 
+/**
+ * The connection list, fetched from Xero at most once per
+ * XERO_TENANTS_CACHE_TTL_MS unless `force` is set (e.g. after a new consent).
+ */
+function loadTenants({ force = false } = {}) {
+  const fresh =
+    tenantsLoadedAt > 0 &&
+    Date.now() - tenantsLoadedAt < XERO_TENANTS_CACHE_TTL_MS &&
+    getConnectedTenants().length > 0;
+  if (fresh && !force && !tenantsInFlight) {
+    return Promise.resolve(getConnectedTenants());
+  }
+
+  if (!tenantsInFlight) {
+    tenantsInFlight = (async () => {
+      let conns = [];
+      try {
+        conns = await xero.updateTenants();
+      } catch (err) {
+        log.error("Error updating tenants", err);
+        throw new Error("Failed to fetch Xero tenants.");
+      }
+
+      if (conns.length === 0) {
+        throw new Error("No Xero tenants available. Check the Xero org connection.");
+      }
+
+      tenantId = defaultTenantId(conns);
+      validateTenants(conns);
+      tenantsLoadedAt = Date.now();
+      log.debug("Tenants loaded", { count: conns.length, tenantId });
+      return conns;
+    })().finally(() => {
+      tenantsInFlight = null;
+    });
+  }
+  return tenantsInFlight;
+}
+
+// Re-read the connection list now (after /xero/callback)
+function refreshTenants() {
+  return loadTenants({ force: true });
+}
+
+// openid discovery is a network call; only repeat it until it has succeeded
+async function initializeClient() {
+  if (xero.openIdClient) return;
+  try {
+    await xero.initialize();
+  } catch (e) {
+    log.debug("initialize() failed", { error: e.message || String(e) });
+  }
+}
+
+// ---------- init from the token store (best effort) ----------
+
+async function initFromSavedToken() {
+  const storedToken = readToken();
+  if (!storedToken) {
+    log.info("No saved token found");
+    return;
+  }
+
+  try {
+    await initializeClient();
     await xero.setTokenSet(storedToken);
 
     if (isTokenExpiredLocal(storedToken)) {
-      console.log(
-        "[Xero] Token from disk appears expired, will refresh on next request."
-      );
+      log.info("Stored token appears expired, will refresh on next request");
       return;
     }
 
-    let connections = [];
     try {
-      connections = await xero.updateTenants();
+      await loadTenants({ force: true });
+      log.info("Initialised", { tenantId });
     } catch (err) {
-      console.error(
-        "[Xero] Error updating tenants during init:",
-        err.response?.data || err.message || err
-      );
-      connections = [];
-    }
-
-    if (connections.length > 0) {
-      tenantId = connections[0].tenantId;
-      console.log("[Xero] Initialised. Tenant:", tenantId);
-    } else {
-      console.log("[Xero] No tenants attached on init.");
+      log.warn("No tenants attached on init", { error: err.message });
     }
   } catch (err) {
-    console.error("[Xero] Error initialising from disk token:", err);
+    log.error("Error initialising from stored token", err);
   }
 }
 
@@ -138,38 +303,27 @@ async function initXeroFromDisk() {
 
 // ---------- ensure-ready for requests ----------
 
+/**
+ * Make sure there is a usable access token and a tenant list. The token is
+ * only refreshed when it is close to expiry, and the tenant list comes from
+ * the cache while it is fresh, so most calls make no requests at all.
+ *
+ * @returns {Promise<string>} the default tenant ID
+ */
 async function ensureXeroReady() {
-  console.log("[Xero] ensureXeroReady: tenantId BEFORE:", tenantId);
-
-  // Make sure the client is initialised
-  try {
-    await xero.initialize();
-  } catch (e) {
-    console.log("[Xero] initialize() in ensureXeroReady:", e.message || e);
-  }
-
-  let tokenSet = null;
-
-  // Try to read current token set from the XeroClient
-  try {
-    tokenSet = await xero.readTokenSet();
-  } catch (e) {
-    tokenSet = null;
-  }
+  await initializeClient();
 
-  // Nothing useful in memory? Try loading from disk
+  // Current token set from the XeroClient, else the token store
+  let tokenSet = xero.readTokenSet();
   if (!hasValidRefresh(tokenSet)) {
-    if (fs.existsSync(TOKEN_PATH)) {
+    const stored = readToken();
+    if (stored) {
       try {
-        const stored = JSON.parse(fs.readFileSync(TOKEN_PATH, "utf8"));
         await xero.setTokenSet(stored);
         tokenSet = stored;
-        console.log("[Xero] Loaded token set from disk in ensureXeroReady.");
+        log.info("Loaded token set from the token store in ensureXeroReady");
       } catch (e) {
-        console.error(
-          "[Xero] Failed to load token from disk in ensureXeroReady:",
-          e.message || e
-        );
+        log.error("Failed to load stored token in ensureXeroReady", e);
       }
     }
   }
@@ -180,47 +334,255 @@ async function ensureXeroReady() {
     );
   }
 
-  // ALWAYS refresh once before calling Xero APIs to avoid 401s on stale access tokens
-  try {
-    tokenSet = await refreshWithAxios(tokenSet);
-  } catch (err) {
-    console.error(
-      "[Xero] Failed to refresh token:",
-      err.response?.data || err.message || err
+  if (refreshInFlight || needsRefresh(tokenSet)) {
+    await refreshTokenOnce();
+  }
+
+  await loadTenants();
+  return tenantId;
+}
+
+/**
+ * ensureXeroReady, then pick the tenant for this piece of work: an explicit
+ * tenantId (e.g. from a webhook event), else the tenant mapped to the brand
+ * (see tenantRegistry.js), else the default tenant. Throws if the chosen
+ * tenant isn't connected.
+ *
+ * @param {{ tenantId?: string, brandKeys?: string[] }} [opts]
+ */
+async function ensureXeroReadyFor({ tenantId: wanted, brandKeys = [] } = {}) {
+  const fallbackTenantId = await ensureXeroReady();
+  const chosen = wanted || tenantIdForBrand(brandKeys) || fallbackTenantId;
+
+  const connections = Array.isArray(xero.tenants) ? xero.tenants : [];
+  if (!connections.some((c) => c.tenantId === chosen)) {
+    throw new AppError(
+      `Xero tenant ${chosen} is not connected. Re-authorise Xero and include that organisation.`,
+      { status: 502, code: "XERO_TENANT_NOT_CONNECTED" }
     );
-    throw new Error(
-      "Failed to refresh Xero token. You may need to re-connect Xero via the browser auth flow."
+  }
+
+  return chosen;
+}
+
+// ---------- OAuth consent, status and disconnect ----------
+
+// A consent URL's state is good for one callback within this long
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// state → { expiresAt, requestedBy }
+const pendingStates = new Map();
+
+function prunePendingStates() {
+  const now = Date.now();
+  for (const [state, entry] of pendingStates) {
+    if (entry.expiresAt <= now) pendingStates.delete(state);
+  }
+}
+
+/**
+ * Xero consent URL carrying a fresh one-time state, which /xero/callback
+ * must present within OAUTH_STATE_TTL_MS.
+ *
+ * @param {{ requestedBy?: string }} [opts] - API key name, for the logs
+ */
+async function createConsentUrl({ requestedBy = null } = {}) {
+  await xero.initialize();
+
+  prunePendingStates();
+  const state = crypto.randomBytes(24).toString("hex");
+  pendingStates.set(state, {
+    expiresAt: Date.now() + OAUTH_STATE_TTL_MS,
+    requestedBy,
+  });
+
+  xero.config.state = state;
+  const url = await xero.buildConsentUrl();
+
+  log.info("Xero consent URL issued", { requestedBy });
+  return url;
+}
+
+/**
+ * Finish the consent flow from the callback URL: check and use up the
+ * state, exchange the code, save the token and re-read the connection list.
+ * An unknown, expired or reused state is a 400 INVALID_OAUTH_STATE.
+ */
+async function completeConsent(callbackUrl) {
+  const state = new URL(callbackUrl, "http://localhost").searchParams.get("state");
+  const pending = state ? pendingStates.get(state) : null;
+  if (state) pendingStates.delete(state);
+
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw new AppError(
+      "Invalid or expired OAuth state. Start again from /xero/auth-url.",
+      { status: 400, code: "INVALID_OAUTH_STATE" }
     );
   }
 
-  // Ensure we have a tenantId
-  let conns = [];
+  await initializeClient();
+  // apiCallback compares the returned state with config.state
+  xero.config.state = state;
+  const tokenSet = await xero.apiCallback(callbackUrl);
+
+  const stored = {
+    ...tokenSet,
+    refresh_token_issued_at: Math.floor(Date.now() / 1000),
+  };
+  await xero.setTokenSet(stored);
+  saveToken(stored);
+  log.info("Xero token saved", {
+    ...getTokenStoreInfo(),
+    requestedBy: pending.requestedBy,
+  });
+
+  return refreshTenants();
+}
+
+function isoFromSec(sec) {
+  return sec ? new Date(sec * 1000).toISOString() : null;
+}
+
+function scopeList(value) {
+  return String(value || "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * What the bridge knows about its Xero connection: token present, access
+ * and refresh token expiry, granted vs configured scopes and the connected
+ * tenants. Never includes the tokens themselves.
+ */
+async function getConnectionStatus() {
+  let error = null;
   try {
-    conns = await xero.updateTenants();
+    await ensureXeroReady();
   } catch (err) {
-    console.error(
-      "[Xero] Error updating tenants after refresh:",
-      err.response?.data || err.message || err
-    );
-    throw new Error("Failed to fetch Xero tenants after token refresh.");
+    error = err.message || String(err);
+  }
+
+  const tokenSet = xero.readTokenSet();
+  const hasToken = hasValidRefresh(tokenSet);
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  const refreshExpiresAt = tokenSet?.refresh_token_issued_at
+    ? tokenSet.refresh_token_issued_at + REFRESH_TOKEN_LIFETIME_SEC
+    : null;
+
+  const granted = scopeList(tokenSet?.scope);
+  const required = scopeList(process.env.XERO_SCOPES);
+
+  return {
+    connected: hasToken && getConnectedTenants().length > 0,
+    tokenStore: getTokenStoreInfo(),
+    token: {
+      present: hasToken,
+      accessExpiresAt: isoFromSec(tokenSet?.expires_at),
+      accessExpired: Boolean(tokenSet?.expires_at) && nowSec >= tokenSet.expires_at,
+      // estimated: only known for tokens issued since this was recorded
+      refreshExpiresAt: isoFromSec(refreshExpiresAt),
+      refreshExpired: refreshExpiresAt !== null && nowSec >= refreshExpiresAt,
+    },
+    scopes: {
+      granted,
+      required,
+      missing: hasToken ? required.filter((s) => !granted.includes(s)) : [],
+      extra: granted.filter((s) => !required.includes(s)),
+    },
+    defaultTenantId: hasToken ? tenantId : null,
+    tenants: getConnectedTenants().map((c) => ({
+      tenantId: c.tenantId,
+      tenantName: c.tenantName,
+      tenantType: c.tenantType,
+      connectionId: c.id,
+    })),
+    error,
+  };
+}
+
+// Forget the token set and tenants, in memory and in the token store
+function forgetConnection() {
+  // xero-node rejects a token set without an access_token
+  xero.setTokenSet({ access_token: "" });
+  xero._tenants = []; // no setter in xero-node
+  tenantsLoadedAt = 0;
+  tenantId = process.env.XERO_TENANT_ID || null;
+  clearToken();
+}
+
+/**
+ * Disconnect from Xero. With a tenantId only that organisation's connection
+ * is removed; otherwise the refresh token is revoked, which removes every
+ * connection, and the stored token is deleted.
+ *
+ * @param {{ tenantId?: string }} [opts]
+ */
+async function disconnectXero({ tenantId: wanted } = {}) {
+  if (wanted) {
+    await ensureXeroReady();
+    const connection = getConnectedTenants().find((c) => c.tenantId === wanted);
+    if (!connection) {
+      throw new AppError(`Xero tenant ${wanted} is not connected`, {
+        status: 404,
+        code: "XERO_TENANT_NOT_CONNECTED",
+      });
+    }
+
+    await xero.disconnect(connection.id);
+    log.info("Disconnected Xero tenant", { tenantId: wanted });
+
+    try {
+      await refreshTenants();
+    } catch (err) {
+      // that was the last organisation; the token is no use any more
+      log.warn("No Xero tenants left after disconnect", { error: err.message });
+      forgetConnection();
+    }
+    return { disconnected: [wanted], remaining: getConnectedTenants().length };
   }
 
-  if (conns.length === 0) {
-    throw new Error("No Xero tenants available. Check the Xero org connection.");
+  const tokenSet = xero.readTokenSet();
+  const current = hasValidRefresh(tokenSet) ? tokenSet : readToken();
+  const tenantIds = getConnectedTenants().map((c) => c.tenantId);
+
+  if (hasValidRefresh(current)) {
+    const params = new URLSearchParams();
+    params.append("token", current.refresh_token);
+
+    await axios.post("https://identity.xero.com/connect/revocation", params.toString(), {
+      auth: {
+        username: process.env.XERO_CLIENT_ID,
+        password: process.env.XERO_CLIENT_SECRET,
+      },
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 10000,
+    });
+    log.info("Revoked Xero refresh token");
   }
 
-  tenantId = conns[0].tenantId;
-  console.log("[Xero] ensureXeroReady: tenantId AFTER:", tenantId);
-  return tenantId;
+  forgetConnection();
+  return { disconnected: tenantIds, remaining: 0 };
 }
 
 function getTenantId() {
   return tenantId;
 }
 
+function getConnectedTenants() {
+  return Array.isArray(xero.tenants) ? xero.tenants : [];
+}
+
 module.exports = {
   xero,
   ensureXeroReady,
+  ensureXeroReadyFor,
   getTenantId,
+  getConnectedTenants,
+  refreshTenants,
   initXeroFromDisk,
+  createConsentUrl,
+  completeConsent,
+  getConnectionStatus,
+  disconnectXero,
 };
@@ -0,0 +1,217 @@
+// xeroRateLimit.js
+// -----------------------------------------------------------------------------
+// Xero API rate-limit handling, applied to every accountingApi call by
+// xeroClient.js.
+//
+// Xero limits each organisation to 5 concurrent calls, 60 a minute and 5000 a
+// day (plus an app-wide per-minute limit). Calls are queued per tenant so no
+// more than XERO_MAX_CONCURRENT_CALLS run at once, the X-MinLimit-Remaining /
+// X-DayLimit-Remaining / X-AppMinLimit-Remaining headers of every response are
+// remembered (see GET /health), and a 429 holds back that tenant's calls for
+// the Retry-After period before the call is retried.
+//
+// When the wait would be longer than XERO_RATE_LIMIT_MAX_WAIT_MS (e.g. the
+// daily limit is used up) or XERO_RATE_LIMIT_MAX_RETRIES is reached, the call
+// fails with a 429 XERO_RATE_LIMITED AppError instead.
+// -----------------------------------------------------------------------------
+
+const {
+  XERO_MAX_CONCURRENT_CALLS,
+  XERO_RATE_LIMIT_MAX_RETRIES,
+  XERO_RATE_LIMIT_MAX_WAIT_MS,
+} = require("./config");
+const { AppError } = require("./errors");
+const { createLogger } = require("./logger");
+
+const log = createLogger("xeroRateLimit");
+
+// Used when a 429 comes without Retry-After
+const DEFAULT_RETRY_AFTER_SEC = 60;
+
+// tenantId → { active, waiting: [], blockedUntil, problem, quota: {...} }
+const tenants = new Map();
+
+function tenantState(tenantId) {
+  const key = tenantId || "(none)";
+  if (!tenants.has(key)) {
+    tenants.set(key, {
+      active: 0,
+      waiting: [],
+      blockedUntil: 0,
+      problem: null,
+      quota: null,
+    });
+  }
+  return tenants.get(key);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * HTTP status and headers of an error thrown by xero-node, which may be a
+ * JSON string ({ response: { statusCode, headers } }) or an axios error.
+ */
+function parseXeroError(err) {
+  let e = err;
+  if (typeof e === "string") {
+    try {
+      e = JSON.parse(e);
+    } catch {
+      return { status: null, headers: {} };
+    }
+  }
+  return {
+    status: e?.response?.statusCode ?? e?.response?.status ?? e?.statusCode ?? null,
+    headers: e?.response?.headers || {},
+  };
+}
+
+function headerInt(headers, name) {
+  const value = parseInt(headers?.[name], 10);
+  return isNaN(value) ? null : value;
+}
+
+function recordQuota(tenantId, headers) {
+  const minute = headerInt(headers, "x-minlimit-remaining");
+  const day = headerInt(headers, "x-daylimit-remaining");
+  const appMinute = headerInt(headers, "x-appminlimit-remaining");
+  if (minute === null && day === null && appMinute === null) return;
+
+  tenantState(tenantId).quota = {
+    minuteRemaining: minute,
+    dayRemaining: day,
+    appMinuteRemaining: appMinute,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function rateLimitedError(tenantId, label, state) {
+  const retryAfterSec = Math.max(
+    0,
+    Math.ceil((state.blockedUntil - Date.now()) / 1000)
+  );
+  return new AppError(
+    `Xero rate limit reached${state.problem ? ` (${state.problem})` : ""}; retry in ${retryAfterSec}s`,
+    {
+      status: 429,
+      code: "XERO_RATE_LIMITED",
+      details: {
+        tenantId,
+        call: label,
+        retryAfterSec,
+        problem: state.problem,
+        quota: state.quota,
+      },
+    }
+  );
+}
+
+// Wait out a 429 block, or give up when it is longer than we're willing to wait
+async function waitUntilUnblocked(tenantId, label) {
+  const state = tenantState(tenantId);
+  const waitMs = state.blockedUntil - Date.now();
+  if (waitMs <= 0) return;
+
+  if (waitMs > XERO_RATE_LIMIT_MAX_WAIT_MS) {
+    throw rateLimitedError(tenantId, label, state);
+  }
+  log.info(`Waiting ${Math.ceil(waitMs / 1000)}s for the Xero rate limit`, {
+    tenantId,
+    call: label,
+  });
+  await sleep(waitMs);
+}
+
+// Run fn once one of the tenant's concurrent call slots is free. A finished
+// call hands its slot straight to the next waiting one.
+async function runInSlot(tenantId, fn) {
+  const state = tenantState(tenantId);
+  if (state.active >= XERO_MAX_CONCURRENT_CALLS) {
+    await new Promise((resolve) => state.waiting.push(resolve));
+  } else {
+    state.active += 1;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    const next = state.waiting.shift();
+    if (next) next();
+    else state.active -= 1;
+  }
+}
+
+/**
+ * Make one Xero call for a tenant under the rate-limit rules above.
+ *
+ * @param {string} tenantId - Xero tenant the call is for
+ * @param {string} label - call name for logs/errors, e.g. "getInvoices"
+ * @param {function(): Promise<object>} fn - performs the call
+ */
+async function callWithRateLimit(tenantId, label, fn) {
+  const state = tenantState(tenantId);
+
+  for (let attempt = 0; ; attempt += 1) {
+    await waitUntilUnblocked(tenantId, label);
+
+    try {
+      const result = await runInSlot(tenantId, fn);
+      recordQuota(tenantId, result?.response?.headers);
+      return result;
+    } catch (err) {
+      const { status, headers } = parseXeroError(err);
+      recordQuota(tenantId, headers);
+      if (status !== 429) throw err;
+
+      const retryAfterSec =
+        headerInt(headers, "retry-after") ?? DEFAULT_RETRY_AFTER_SEC;
+      state.blockedUntil = Math.max(
+        state.blockedUntil,
+        Date.now() + retryAfterSec * 1000
+      );
+      state.problem = headers["x-rate-limit-problem"] || null;
+
+      if (
+        attempt >= XERO_RATE_LIMIT_MAX_RETRIES ||
+        retryAfterSec * 1000 > XERO_RATE_LIMIT_MAX_WAIT_MS
+      ) {
+        log.error(`${label} rate limited, giving up`, {
+          tenantId,
+          retryAfterSec,
+          problem: state.problem,
+        });
+        throw rateLimitedError(tenantId, label, state);
+      }
+
+      log.warn(`${label} rate limited, retrying in ${retryAfterSec}s`, {
+        tenantId,
+        attempt: attempt + 1,
+        problem: state.problem,
+      });
+    }
+  }
+}
+
+/**
+ * Remaining quota per tenant, as last reported by Xero (for /health).
+ */
+function getRateLimitStatus() {
+  const now = Date.now();
+  return [...tenants.entries()].map(([tenantId, state]) => ({
+    tenantId,
+    ...(state.quota || {}),
+    blockedForSec:
+      state.blockedUntil > now ? Math.ceil((state.blockedUntil - now) / 1000) : 0,
+    problem: state.blockedUntil > now ? state.problem : null,
+    active: state.active,
+    queued: state.waiting.length,
+  }));
+}
+
+module.exports = {
+  callWithRateLimit,
+  parseXeroError,
+  getRateLimitStatus,
+};
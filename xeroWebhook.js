@@ -0,0 +1,72 @@
+// xeroWebhook.js
+// -----------------------------------------------------------------------------
+// Xero webhook signature verification.
+//
+// Xero signs every webhook delivery (including the "intent to receive"
+// validation requests) with an HMAC-SHA256 of the raw request body, keyed with
+// the webhook key from the Xero developer portal, and sends it base64-encoded
+// in the `x-xero-signature` header. Anything that doesn't match must get a 401.
+// -----------------------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const { XERO_WEBHOOK_KEY } = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("xeroWebhook");
+
+/**
+ * Check a Xero webhook signature against the raw body.
+ *
+ * @param {Buffer|string} rawBody - body exactly as received
+ * @param {string} signature - value of the x-xero-signature header
+ * @param {string} [webhookKey] - defaults to XERO_WEBHOOK_KEY
+ * @returns {boolean}
+ */
+function isValidXeroSignature(rawBody, signature, webhookKey = XERO_WEBHOOK_KEY) {
+  if (!webhookKey || !signature || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", webhookKey)
+    .update(rawBody)
+    .digest();
+
+  let received;
+  try {
+    received = Buffer.from(String(signature), "base64");
+  } catch {
+    return false;
+  }
+
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+/**
+ * Express middleware: reject requests whose x-xero-signature doesn't match.
+ * Needs `req.rawBody` (set by the bodyParser.json verify hook in xero-bridge.js).
+ */
+function verifyXeroWebhook(req, res, next) {
+  if (!XERO_WEBHOOK_KEY) {
+    log.error("XERO_WEBHOOK_KEY is not configured; rejecting webhook");
+    return res.status(401).end();
+  }
+
+  const signature = req.get("x-xero-signature");
+
+  if (!isValidXeroSignature(req.rawBody, signature)) {
+    log.warn("Invalid or missing x-xero-signature", { ip: req.ip });
+    return res.status(401).end();
+  }
+
+  next();
+}
+
+module.exports = {
+  isValidXeroSignature,
+  verifyXeroWebhook,
+};